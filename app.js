@@ -3,14 +3,55 @@
  * Client-side pixel art fixing and palette application
  */
 
-import { pixelDetect } from './pixelDetect.js';
-import { quantizeImage, applyPalette, determineBestK } from './paletteApply.js';
-import { getPalette } from './presets.js';
+import { getPalette, getAllPaletteInfo } from './presets.js';
+import {
+    importPaletteFile,
+    restoreImportedPalettes,
+    removeImportedPalette,
+    exportPalette,
+    PALETTE_EXPORT_FORMATS
+} from './paletteIO.js';
+import { findBorderColor } from './backgroundRemoval.js';
+import { DITHER_METHODS } from './dither.js';
+import { COLOR_METRICS } from './colorMetrics.js';
+import { QUANTIZERS } from './quantizers.js';
+import { EXPORT_FORMATS, scaleNearest, upscale, encodeBMP, exportFileName } from './imageExport.js';
+import { encodeIndexedPNG, encodePNG, encodeAPNG, decodeAPNG, isAnimatedPNG } from './png.js';
+import { encodeGIF, decodeGIF } from './gif.js';
+import { PipelineClient, CancelledError } from './pipelineClient.js';
+import { createZip } from './zip.js';
+import { uniformGrid, SPRITE_SIZES, ANCHORS, LOW_CONFIDENCE, DETECTION_METHODS } from './pixelDetect.js';
+import { SHEET_MODES, createAtlas, gridFrames, sliceFrame, assembleSheet } from './spriteSheet.js';
 
 // Application state
 let originalImage = null;
+let originalFileName = '';
+let animation = null; // {frames, delays, loopCount} of an animated GIF/APNG
 let fixedImageData = null;
 let detectionInfo = null;
+let outputImageData = null; // Displayed image (after background and palette)
+let currentPalette = null; // Palette of the displayed image
+let backgroundColor = null; // Picked key color, null = most common border color
+let manualGrid = null; // {hFactor, vFactor, offsetX, offsetY} when the grid is set by hand
+let gridDrag = null; // Pointer drag on the grid overlay in progress
+let batchQueue = []; // Batch entries: {file, thumbUrl, status, downscaled, output, info, element}
+let batchRunning = false;
+
+// Workers for the two pipeline stages; a new job cancels the previous one
+const detectClient = new PipelineClient();
+const paletteClient = new PipelineClient();
+const batchClient = new PipelineClient(); // Separate so editing doesn't stop a batch
+
+// Progress labels for pipeline stages
+const STAGE_LABELS = {
+    edges: 'Finding edges',
+    grid: 'Fitting grid',
+    frames: 'Detecting frames',
+    downscale: 'Downscaling',
+    background: 'Removing background',
+    colors: 'Choosing color count',
+    palette: 'Applying palette'
+};
 
 // UI Elements
 const dropZone = document.getElementById('dropZone');
@@ -20,6 +61,48 @@ const processingSection = document.getElementById('processingSection');
 const originalCanvas = document.getElementById('originalCanvas');
 const fixedCanvas = document.getElementById('fixedCanvas');
 const paletteSelect = document.getElementById('paletteSelect');
+const importPaletteButton = document.getElementById('importPaletteButton');
+const removePaletteButton = document.getElementById('removePaletteButton');
+const paletteFileInput = document.getElementById('paletteFileInput');
+const quantizerGroup = document.getElementById('quantizerGroup');
+const quantizerSelect = document.getElementById('quantizerSelect');
+const refineCheckbox = document.getElementById('refineCheckbox');
+const ditherSelect = document.getElementById('ditherSelect');
+const ditherStrengthGroup = document.getElementById('ditherStrengthGroup');
+const ditherStrengthSlider = document.getElementById('ditherStrengthSlider');
+const ditherStrengthValue = document.getElementById('ditherStrengthValue');
+const metricSelect = document.getElementById('metricSelect');
+const gridSelect = document.getElementById('gridSelect');
+const methodSelect = document.getElementById('methodSelect');
+const targetSizeSelect = document.getElementById('targetSizeSelect');
+const targetOptionsGroup = document.getElementById('targetOptionsGroup');
+const targetCustomInputs = document.getElementById('targetCustomInputs');
+const targetWidthInput = document.getElementById('targetWidthInput');
+const targetHeightInput = document.getElementById('targetHeightInput');
+const targetFitSelect = document.getElementById('targetFitSelect');
+const targetAnchorSelect = document.getElementById('targetAnchorSelect');
+const gridOverlay = document.getElementById('gridOverlay');
+const showGridCheckbox = document.getElementById('showGridCheckbox');
+const lockGridCheckbox = document.getElementById('lockGridCheckbox');
+const lockGridLabel = document.getElementById('lockGridLabel');
+const sheetModeSelect = document.getElementById('sheetModeSelect');
+const sheetGridInputs = document.getElementById('sheetGridInputs');
+const sheetRowsInput = document.getElementById('sheetRowsInput');
+const sheetColsInput = document.getElementById('sheetColsInput');
+const targetGroup = document.getElementById('targetGroup');
+const manualGridGroup = document.getElementById('manualGridGroup');
+const hFactorInput = document.getElementById('hFactorInput');
+const vFactorInput = document.getElementById('vFactorInput');
+const offsetXInput = document.getElementById('offsetXInput');
+const offsetYInput = document.getElementById('offsetYInput');
+const alphaSlider = document.getElementById('alphaSlider');
+const alphaValue = document.getElementById('alphaValue');
+const backgroundSelect = document.getElementById('backgroundSelect');
+const backgroundOptionsGroup = document.getElementById('backgroundOptionsGroup');
+const toleranceSlider = document.getElementById('toleranceSlider');
+const toleranceValue = document.getElementById('toleranceValue');
+const backgroundColorInput = document.getElementById('backgroundColorInput');
+const autoColorButton = document.getElementById('autoColorButton');
 const customColorGroup = document.getElementById('customColorGroup');
 const colorSlider = document.getElementById('colorSlider');
 const colorValue = document.getElementById('colorValue');
@@ -28,15 +111,98 @@ const resetButton = document.getElementById('resetButton');
 const originalSize = document.getElementById('originalSize');
 const fixedSize = document.getElementById('fixedSize');
 const detectionInfoEl = document.getElementById('detectionInfo');
+const detectionWarning = document.getElementById('detectionWarning');
+const detectionWarningText = document.getElementById('detectionWarningText');
+const candidateButtons = document.getElementById('candidateButtons');
+const progressGroup = document.getElementById('progressGroup');
+const progressBar = document.getElementById('progressBar');
+const progressLabel = document.getElementById('progressLabel');
+const cancelButton = document.getElementById('cancelButton');
+const paletteSection = document.getElementById('paletteSection');
+const paletteSwatches = document.getElementById('paletteSwatches');
+const paletteFormatSelect = document.getElementById('paletteFormatSelect');
+const exportPaletteButton = document.getElementById('exportPaletteButton');
+const batchSection = document.getElementById('batchSection');
+const batchCount = document.getElementById('batchCount');
+const batchScaleSelect = document.getElementById('batchScaleSelect');
+const batchProcessButton = document.getElementById('batchProcessButton');
+const batchZipButton = document.getElementById('batchZipButton');
+const batchClearButton = document.getElementById('batchClearButton');
+const batchList = document.getElementById('batchList');
+const batchPalette = document.getElementById('batchPalette');
+const sharedPaletteCheckbox = document.getElementById('sharedPaletteCheckbox');
+const sharedMaxColorsInput = document.getElementById('sharedMaxColorsInput');
+const exportDialog = document.getElementById('exportDialog');
+const exportScaleSelect = document.getElementById('exportScaleSelect');
+const exportOriginalSize = document.getElementById('exportOriginalSize');
+const exportOriginalDims = document.getElementById('exportOriginalDims');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+const exportDims = document.getElementById('exportDims');
+const exportFileNameEl = document.getElementById('exportFileName');
 
 // Canvas contexts
 const originalCtx = originalCanvas.getContext('2d', { willReadFrequently: true });
 const fixedCtx = fixedCanvas.getContext('2d', { willReadFrequently: true });
+const gridCtx = gridOverlay.getContext('2d');
 
 /**
  * Initialize event listeners
  */
 function init() {
+    // Palettes (built-in and previously imported)
+    restoreImportedPalettes();
+    populatePaletteSelect();
+
+    // Quantizers
+    for (const { key, name } of QUANTIZERS) {
+        quantizerSelect.add(new Option(name, key));
+    }
+
+    // Dither methods
+    for (const { key, name } of DITHER_METHODS) {
+        ditherSelect.add(new Option(name, key));
+    }
+
+    // Export scales and formats
+    for (let scale = 1; scale <= 16; scale++) {
+        exportScaleSelect.add(new Option(`${scale}×`, scale));
+        batchScaleSelect.add(new Option(`${scale}×`, scale));
+    }
+    for (const { key, name } of EXPORT_FORMATS) {
+        exportFormatSelect.add(new Option(name, key));
+    }
+
+    // Palette export formats
+    for (const { key, name } of PALETTE_EXPORT_FORMATS) {
+        paletteFormatSelect.add(new Option(name, key));
+    }
+
+    // Target sprite sizes and crop/pad anchors
+    const customSizeOption = targetSizeSelect.querySelector('option[value="custom"]');
+    for (const size of SPRITE_SIZES) {
+        targetSizeSelect.insertBefore(new Option(`${size}×${size}`, size), customSizeOption);
+    }
+    for (const key of Object.keys(ANCHORS)) {
+        const name = key[0].toUpperCase() + key.slice(1).replace('-', ' ');
+        targetAnchorSelect.add(new Option(name, key));
+    }
+    targetAnchorSelect.value = 'center';
+
+    // Single image or sprite sheet
+    for (const { key, name } of SHEET_MODES) {
+        sheetModeSelect.add(new Option(name, key));
+    }
+
+    // Color metrics
+    for (const { key, name } of COLOR_METRICS) {
+        metricSelect.add(new Option(name, key));
+    }
+
+    // Cell size detection methods
+    for (const { key, name } of DETECTION_METHODS) {
+        methodSelect.add(new Option(name, key));
+    }
+
     // File input
     openButton.addEventListener('click', () => fileInput.click());
     fileInput.addEventListener('change', handleFileSelect);
@@ -51,13 +217,89 @@ function init() {
 
     // Controls
     paletteSelect.addEventListener('change', handlePaletteChange);
+    importPaletteButton.addEventListener('click', () => paletteFileInput.click());
+    paletteFileInput.addEventListener('change', handlePaletteImport);
+    removePaletteButton.addEventListener('click', handlePaletteRemove);
+    quantizerSelect.addEventListener('change', handleQuantizerChange);
+    refineCheckbox.addEventListener('change', handleQuantizerChange);
+    ditherSelect.addEventListener('change', handleDitherChange);
+    ditherStrengthSlider.addEventListener('input', handleDitherStrengthChange);
+    metricSelect.addEventListener('change', handleMetricChange);
+    gridSelect.addEventListener('change', handleGridChange);
+    methodSelect.addEventListener('change', handleGridChange);
+    sheetModeSelect.addEventListener('change', handleSheetModeChange);
+    sheetRowsInput.addEventListener('input', handleTargetSizeInput);
+    sheetColsInput.addEventListener('input', handleTargetSizeInput);
+    targetSizeSelect.addEventListener('change', handleTargetChange);
+    targetFitSelect.addEventListener('change', handleTargetChange);
+    targetAnchorSelect.addEventListener('change', handleTargetChange);
+    targetWidthInput.addEventListener('input', handleTargetSizeInput);
+    targetHeightInput.addEventListener('input', handleTargetSizeInput);
+    showGridCheckbox.addEventListener('change', drawGridOverlay);
+    lockGridCheckbox.addEventListener('change', handleLockGridChange);
+    for (const input of [hFactorInput, vFactorInput, offsetXInput, offsetYInput]) {
+        input.addEventListener('input', handleGridInput);
+    }
+    gridOverlay.addEventListener('pointerdown', handleGridPointerDown);
+    gridOverlay.addEventListener('pointermove', handleGridPointerMove);
+    gridOverlay.addEventListener('pointerup', handleGridPointerUp);
+    gridOverlay.addEventListener('pointercancel', handleGridPointerUp);
+    new ResizeObserver(drawGridOverlay).observe(originalCanvas);
+    alphaSlider.addEventListener('input', handleAlphaSliderChange);
+    backgroundSelect.addEventListener('change', handleBackgroundChange);
+    toleranceSlider.addEventListener('input', handleToleranceChange);
+    backgroundColorInput.addEventListener('input', handleBackgroundColorInput);
+    autoColorButton.addEventListener('click', handleAutoColor);
+    fixedCanvas.addEventListener('click', handleFixedCanvasClick);
     colorSlider.addEventListener('input', handleColorSliderChange);
     downloadButton.addEventListener('click', handleDownload);
+    exportPaletteButton.addEventListener('click', handleExportPalette);
+    exportScaleSelect.addEventListener('change', updateExportSummary);
+    exportOriginalSize.addEventListener('change', updateExportSummary);
+    exportFormatSelect.addEventListener('change', updateExportSummary);
+    exportDialog.addEventListener('close', handleExportDialogClose);
+    cancelButton.addEventListener('click', handleCancel);
+    batchProcessButton.addEventListener('click', handleBatchProcess);
+    batchZipButton.addEventListener('click', handleBatchZip);
+    batchClearButton.addEventListener('click', clearBatch);
     resetButton.addEventListener('click', handleReset);
 
     console.log('PixelFixel initialized');
 }
 
+/**
+ * Fill the palette select from the registered palettes
+ * Keeps the fixed "Auto-detect" and "Custom Color Count" entries around them
+ */
+function populatePaletteSelect() {
+    const selected = paletteSelect.value;
+    const customOption = paletteSelect.querySelector('option[value="custom"]');
+
+    // Drop everything except the fixed entries
+    for (const el of [...paletteSelect.children]) {
+        if (el.value !== 'none' && el.value !== 'custom') el.remove();
+    }
+
+    const info = getAllPaletteInfo();
+    const importedGroup = document.createElement('optgroup');
+    importedGroup.label = 'Imported';
+
+    for (const { key, name, colorCount, imported } of info) {
+        const option = new Option(`${name} (${colorCount} colors)`, key);
+        if (imported) {
+            importedGroup.appendChild(option);
+        } else {
+            paletteSelect.insertBefore(option, customOption);
+        }
+    }
+
+    if (importedGroup.children.length > 0) {
+        paletteSelect.appendChild(importedGroup);
+    }
+
+    paletteSelect.value = info.some(p => p.key === selected) || selected === 'custom' ? selected : 'none';
+}
+
 /**
  * Handle drag over event
  */
@@ -81,35 +323,50 @@ function handleDrop(e) {
     e.preventDefault();
     dropZone.classList.remove('drag-over');
 
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-        loadImageFile(files[0]);
-    }
+    handleFiles(e.dataTransfer.files);
 }
 
 /**
  * Handle file select
  */
 function handleFileSelect(e) {
-    const files = e.target.files;
-    if (files.length > 0) {
-        loadImageFile(files[0]);
-    }
+    handleFiles(e.target.files);
 }
 
 /**
  * Handle paste event
  */
 function handlePaste(e) {
-    const items = e.clipboardData.items;
+    const files = [];
 
-    for (const item of items) {
+    for (const item of e.clipboardData.items) {
         if (item.type.startsWith('image/')) {
-            const file = item.getAsFile();
-            loadImageFile(file);
-            break;
+            files.push(item.getAsFile());
         }
     }
+
+    handleFiles(files);
+}
+
+/**
+ * Open one image, or queue several as a batch (the first is opened too)
+ */
+function handleFiles(fileList) {
+    const files = [...fileList];
+    if (files.length === 0) return;
+    if (files.length === 1) {
+        loadImageFile(files[0]);
+        return;
+    }
+
+    const images = files.filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) {
+        alert('Please select image files');
+        return;
+    }
+
+    addToBatch(images);
+    loadImageFile(images[0]);
 }
 
 /**
@@ -121,11 +378,38 @@ function loadImageFile(file) {
         return;
     }
 
+    // GIFs and PNGs may be animated, which an <img> would reduce to one frame
+    if (file.type === 'image/gif' || file.type === 'image/png' || file.type === 'image/apng') {
+        file.arrayBuffer().then((buffer) => {
+            const bytes = new Uint8Array(buffer);
+            const decoded = file.type === 'image/gif'
+                ? decodeGIF(bytes)
+                : isAnimatedPNG(bytes) && decodeAPNG(bytes);
+
+            if (decoded && decoded.frames.length > 1) {
+                loadAnimation(file, decoded);
+            } else {
+                loadStillImage(file);
+            }
+        }).catch(() => loadStillImage(file)); // Let the browser try
+        return;
+    }
+
+    loadStillImage(file);
+}
+
+/**
+ * Load a still image file through the browser's decoder
+ */
+function loadStillImage(file) {
     const reader = new FileReader();
     reader.onload = (e) => {
         const img = new Image();
         img.onload = () => {
             originalImage = img;
+            originalFileName = file.name || '';
+            animation = null;
+            setManualGrid(null);
             processImage();
         };
         img.src = e.target.result;
@@ -133,10 +417,41 @@ function loadImageFile(file) {
     reader.readAsDataURL(file);
 }
 
+/**
+ * Load decoded animation frames (the first one stands in as the original image)
+ */
+function loadAnimation(file, decoded) {
+    const firstFrame = decoded.frames[0].imageData;
+    const canvas = document.createElement('canvas');
+    canvas.width = firstFrame.width;
+    canvas.height = firstFrame.height;
+    canvas.getContext('2d').putImageData(firstFrame, 0, 0);
+
+    originalImage = canvas;
+    originalFileName = file.name || '';
+    animation = {
+        frames: decoded.frames.map(frame => frame.imageData),
+        delays: decoded.frames.map(frame => frame.delay),
+        loopCount: decoded.loopCount
+    };
+    setManualGrid(null);
+    processImage();
+}
+
+/**
+ * Stack the animation frames top to bottom in one image
+ */
+function stackAnimationFrames() {
+    const { frames } = animation;
+    const { width, height } = frames[0];
+    const cells = gridFrames(width, height * frames.length, frames.length, 1).frames;
+    return assembleSheet(frames, cells, frames.length, 1).imageData;
+}
+
 /**
  * Process the loaded image
  */
-function processImage() {
+async function processImage() {
     if (!originalImage) return;
 
     // Show processing section
@@ -151,18 +466,60 @@ function processImage() {
     // Get original image data
     const originalData = originalCtx.getImageData(0, 0, originalImage.width, originalImage.height);
 
-    // Detect pixel scaling
-    const startTime = performance.now();
-    const result = pixelDetect(originalData);
-    const detectTime = Math.round(performance.now() - startTime);
+    // Palette results for the old detection are no longer wanted
+    paletteClient.cancel();
+
+    // Detect pixel scaling in the worker, or just downscale over a manual grid
+    const options = getDetectOptions();
+    let detection;
+    try {
+        if (animation) {
+            const animationOptions = { ...options, ...manualGrid, frameCount: animation.frames.length };
+            detection = await detectClient.run('animation', stackAnimationFrames(), animationOptions, showProgress);
+        } else if (options.sheet) {
+            detection = await detectClient.run('sheet', originalData, options, showProgress);
+        } else if (manualGrid) {
+            detection = await detectClient.run('grid', originalData, { ...options, ...manualGrid }, showProgress);
+        } else {
+            detection = await detectClient.run('detect', originalData, options, showProgress);
+        }
+    } catch (err) {
+        if (!(err instanceof CancelledError)) {
+            hideProgress();
+            alert(`Pixel detection failed: ${err.message}`);
+        }
+        return;
+    }
 
-    fixedImageData = result.downscaled;
+    const { result } = detection;
+    fixedImageData = detection.imageData;
     detectionInfo = {
         hFactor: result.hFactor,
         vFactor: result.vFactor,
-        detectTime
+        offsetX: result.offsetX,
+        offsetY: result.offsetY,
+        columns: result.columns,
+        rows: result.rows,
+        manual: Boolean(manualGrid),
+        method: manualGrid ? null : result.method || options.method,
+        target: options.target,
+        sheet: options.sheet && {
+            frameRows: result.frameRows,
+            frameCols: result.frameCols,
+            frames: result.frames,
+            sourceFrames: result.sourceFrames
+        },
+        frameCount: result.frameCount || 1,
+        confidence: result.confidence,
+        isNative: result.isNative,
+        candidates: result.candidates || [],
+        detectTime: result.detectTime
     };
 
+    if (!manualGrid) updateGridInputs(detectionInfo);
+    drawGridOverlay();
+    displayDetectionWarning(detectionInfo);
+
     // Apply current palette settings
     applyCurrentPalette();
 }
@@ -170,44 +527,170 @@ function processImage() {
 /**
  * Apply the currently selected palette to the fixed image
  */
-function applyCurrentPalette() {
+async function applyCurrentPalette() {
     if (!fixedImageData) return;
 
     const paletteType = paletteSelect.value;
-    let processedData = fixedImageData;
-
-    const startTime = performance.now();
-
-    if (paletteType === 'none') {
-        // Auto-detect optimal color count
-        const optimalColors = determineBestK(fixedImageData, 32);
-        processedData = quantizeImage(fixedImageData, optimalColors);
-        console.log(`Auto-detected ${optimalColors} colors`);
-
-    } else if (paletteType === 'custom') {
-        // Use custom color count from slider
-        const numColors = parseInt(colorSlider.value);
-        processedData = quantizeImage(fixedImageData, numColors);
+    const options = getPaletteOptions();
 
-    } else {
-        // Use preset palette
-        const palette = getPalette(paletteType);
-        if (palette) {
-            processedData = applyPalette(fixedImageData, palette);
+    let output;
+    try {
+        output = await paletteClient.run('palette', fixedImageData, options, showProgress);
+    } catch (err) {
+        if (!(err instanceof CancelledError)) {
+            alert(`Palette processing failed: ${err.message}`);
+            hideProgress();
         }
+        return;
     }
+    hideProgress();
 
-    const paletteTime = Math.round(performance.now() - startTime);
+    const { result } = output;
+    if (paletteType === 'none') {
+        console.log(`Auto-detected ${result.colorCount} colors`);
+    }
 
     // Display fixed image with integer upscaling
-    displayFixedImage(processedData);
+    outputImageData = output.imageData;
+    currentPalette = result.palette;
+    displayFixedImage(outputImageData);
+    displayPalette(currentPalette);
 
     // Update info
     const scaleFactor = Math.max(detectionInfo.hFactor, detectionInfo.vFactor);
+    const { offsetX, offsetY } = detectionInfo;
+    const offsetText = offsetX || offsetY ? ` (grid offset ${offsetX},${offsetY})` : '';
+    const gridText = gridSelect.value === 'adaptive' && !detectionInfo.manual ? ', adaptive grid' : '';
+    const { confidence } = detectionInfo;
+    const method = DETECTION_METHODS.find(m => m.key === detectionInfo.method);
+    const methodText = [
+        method && method.name.toLowerCase(),
+        confidence !== undefined && `${Math.round(confidence * 100)}% confidence`
+    ].filter(Boolean).join(', ');
+    const sourceText = detectionInfo.manual
+        ? `Manual grid ${detectionInfo.hFactor}×${detectionInfo.vFactor}`
+        : `Detected ${scaleFactor.toFixed(1)}x upscaling${methodText ? ` (${methodText})` : ''}`;
+    const { target, sheet } = detectionInfo;
+    const targetText = target ? `, fit to ${target.width}×${target.height}` : '';
+    const sheetText = sheet ? `, ${sheet.frames.length} frames (${sheet.frameRows}×${sheet.frameCols})` : '';
+    const animationText = detectionInfo.frameCount > 1 ? `, ${detectionInfo.frameCount} animation frames` : '';
     detectionInfoEl.textContent =
-        `Detected ${scaleFactor.toFixed(1)}x upscaling | ` +
+        `${sourceText}${offsetText}${gridText}${targetText}${sheetText}${animationText} | ` +
         `Pixel detection: ${detectionInfo.detectTime}ms | ` +
-        `Palette: ${paletteTime}ms`;
+        `Palette: ${result.paletteTime}ms`;
+}
+
+/**
+ * Warn about an unsure detection and offer the alternative grids
+ * Only automatic detections of single images carry a confidence
+ */
+function displayDetectionWarning(info) {
+    candidateButtons.replaceChildren();
+
+    const unsure = info && !info.manual && info.confidence !== undefined &&
+        (info.isNative || info.confidence < LOW_CONFIDENCE);
+    if (!unsure) {
+        detectionWarning.classList.add('hidden');
+        return;
+    }
+
+    detectionWarningText.textContent = info.isNative
+        ? 'This image already looks like pixel art at 1 pixel per cell, so it keeps its size. To downscale anyway, try:'
+        : `Low detection confidence (${Math.round(info.confidence * 100)}%). The grid may be wrong; try:`;
+
+    // Alternatives other than the detected grid, applied as a manual grid
+    const alternatives = info.candidates.filter(c => c.hFactor !== info.hFactor || c.vFactor !== info.vFactor);
+    for (const candidate of alternatives) {
+        const { hFactor, vFactor, offsetX, offsetY } = candidate;
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary btn-small';
+        button.textContent = hFactor === 1 && vFactor === 1
+            ? 'Keep as is (1×1)'
+            : `${hFactor}×${vFactor} (${Math.round(candidate.score * 100)}%)`;
+        button.title = `Use a ${hFactor}×${vFactor} grid at offset ${offsetX},${offsetY}`;
+        button.addEventListener('click', () => {
+            setManualGrid({ hFactor, vFactor, offsetX, offsetY });
+            processImage();
+        });
+        candidateButtons.appendChild(button);
+    }
+
+    detectionWarning.classList.remove('hidden');
+}
+
+/**
+ * Get detection options from the controls
+ */
+function getDetectOptions() {
+    // Animations and sheets are fixed frame by frame, without a target size
+    const sheet = animation ? null : getSheet();
+    return {
+        grid: gridSelect.value,
+        method: methodSelect.value,
+        alphaThreshold: parseInt(alphaSlider.value),
+        metric: metricSelect.value,
+        target: sheet || animation ? null : getTarget(),
+        sheet
+    };
+}
+
+/**
+ * Get palette stage options from the controls
+ */
+function getPaletteOptions() {
+    const paletteType = paletteSelect.value;
+    const options = {
+        background: {
+            mode: backgroundSelect.value,
+            tolerance: parseInt(toleranceSlider.value),
+            color: backgroundColor
+        },
+        metric: metricSelect.value,
+        quantizer: quantizerSelect.value,
+        refine: refineCheckbox.checked,
+        dither: ditherSelect.value,
+        ditherStrength: parseInt(ditherStrengthSlider.value) / 100
+    };
+
+    if (paletteType === 'none') {
+        // Auto-detect optimal color count
+        options.mode = 'auto';
+    } else if (paletteType === 'custom') {
+        // Use custom color count from slider
+        options.mode = 'count';
+        options.colors = parseInt(colorSlider.value);
+    } else {
+        // Use preset palette (resolved here, the worker has no imported palettes)
+        options.mode = 'palette';
+        options.palette = getPalette(paletteType);
+    }
+
+    return options;
+}
+
+/**
+ * Show pipeline progress
+ */
+function showProgress(stage, fraction) {
+    progressGroup.classList.remove('hidden');
+    progressLabel.textContent = STAGE_LABELS[stage] || stage;
+    progressBar.value = fraction;
+}
+
+/**
+ * Hide the progress indicator
+ */
+function hideProgress() {
+    progressGroup.classList.add('hidden');
+}
+
+/**
+ * Handle cancel button click (stops any running pipeline job)
+ */
+function handleCancel() {
+    detectClient.cancel();
+    paletteClient.cancel();
+    hideProgress();
 }
 
 /**
@@ -242,6 +725,28 @@ function displayFixedImage(imageData) {
     }
 }
 
+/**
+ * Show the palette as swatches under the fixed image
+ */
+function displayPalette(palette) {
+    paletteSwatches.replaceChildren();
+
+    if (!palette || palette.length === 0) {
+        paletteSection.classList.add('hidden');
+        return;
+    }
+
+    for (const color of palette) {
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = rgbToHex(color);
+        swatch.title = `${rgbToHex(color)} (${color.join(', ')})`;
+        paletteSwatches.appendChild(swatch);
+    }
+
+    paletteSection.classList.remove('hidden');
+}
+
 /**
  * Handle palette selection change
  */
@@ -254,11 +759,480 @@ function handlePaletteChange() {
         customColorGroup.classList.add('hidden');
     }
 
+    // Quantizer settings only matter when a palette is generated
+    quantizerGroup.classList.toggle('hidden', paletteType !== 'none' && paletteType !== 'custom');
+
+    const imported = getAllPaletteInfo().some(p => p.key === paletteType && p.imported);
+    removePaletteButton.classList.toggle('hidden', !imported);
+
+    if (fixedImageData) {
+        applyCurrentPalette();
+    }
+}
+
+/**
+ * Handle quantizer or refinement change
+ */
+function handleQuantizerChange() {
+    if (fixedImageData) {
+        applyCurrentPalette();
+    }
+}
+
+/**
+ * Handle dithering method change
+ */
+function handleDitherChange() {
+    if (ditherSelect.value === 'none') {
+        ditherStrengthGroup.classList.add('hidden');
+    } else {
+        ditherStrengthGroup.classList.remove('hidden');
+    }
+
     if (fixedImageData) {
         applyCurrentPalette();
     }
 }
 
+/**
+ * Handle dithering strength slider change
+ */
+function handleDitherStrengthChange() {
+    ditherStrengthValue.textContent = ditherStrengthSlider.value;
+
+    if (fixedImageData) {
+        // Debounce the update for performance
+        clearTimeout(handleDitherStrengthChange.timeout);
+        handleDitherStrengthChange.timeout = setTimeout(() => {
+            applyCurrentPalette();
+        }, 100);
+    }
+}
+
+/**
+ * Handle color metric change (re-runs detection, which clusters tiles with it)
+ */
+function handleMetricChange() {
+    if (originalImage) {
+        processImage();
+    }
+}
+
+/**
+ * Handle grid mode or detection method change (re-runs detection)
+ */
+function handleGridChange() {
+    if (originalImage) {
+        processImage();
+    }
+}
+
+/**
+ * Handle alpha cutoff slider change (re-runs detection)
+ */
+function handleAlphaSliderChange() {
+    alphaValue.textContent = alphaSlider.value;
+
+    if (originalImage) {
+        // Debounce the update for performance
+        clearTimeout(handleAlphaSliderChange.timeout);
+        handleAlphaSliderChange.timeout = setTimeout(() => {
+            processImage();
+        }, 100);
+    }
+}
+
+/**
+ * Get the target output size, or null to keep the detected size
+ */
+function getTarget() {
+    const value = targetSizeSelect.value;
+    if (!value) return null;
+
+    const width = value === 'custom' ? parseInt(targetWidthInput.value) : parseInt(value);
+    const height = value === 'custom' ? parseInt(targetHeightInput.value) : parseInt(value);
+    if (!(width >= 1 && height >= 1)) return null;
+
+    return { width, height, fit: targetFitSelect.value, anchor: targetAnchorSelect.value };
+}
+
+/**
+ * Handle output size, fit or anchor change
+ */
+function handleTargetChange() {
+    targetOptionsGroup.classList.toggle('hidden', !targetSizeSelect.value);
+    targetCustomInputs.classList.toggle('hidden', targetSizeSelect.value !== 'custom');
+    targetAnchorSelect.classList.toggle('hidden', targetFitSelect.value !== 'crop-pad');
+
+    if (originalImage) {
+        processImage();
+    }
+}
+
+/**
+ * Handle custom output size or sprite sheet rows/columns input
+ */
+function handleTargetSizeInput() {
+    if (originalImage) {
+        // Debounce the update for performance
+        clearTimeout(handleTargetSizeInput.timeout);
+        handleTargetSizeInput.timeout = setTimeout(() => {
+            processImage();
+        }, 200);
+    }
+}
+
+/**
+ * Get the sprite sheet slicing options (null for a single image)
+ */
+function getSheet() {
+    const mode = sheetModeSelect.value;
+    if (mode === 'off') return null;
+
+    return {
+        mode,
+        rows: Math.max(1, parseInt(sheetRowsInput.value) || 1),
+        cols: Math.max(1, parseInt(sheetColsInput.value) || 1)
+    };
+}
+
+/**
+ * Handle single image / sprite sheet change
+ * Sheets are fixed frame by frame, so the output size and manual grid don't apply
+ */
+function handleSheetModeChange() {
+    const sheet = sheetModeSelect.value !== 'off';
+    sheetGridInputs.classList.toggle('hidden', sheetModeSelect.value !== 'grid');
+    targetGroup.classList.toggle('hidden', sheet);
+    targetOptionsGroup.classList.toggle('hidden', sheet || !targetSizeSelect.value);
+    lockGridLabel.classList.toggle('hidden', sheet);
+    if (sheet) setManualGrid(null);
+
+    if (originalImage) {
+        processImage();
+    }
+}
+
+/**
+ * Draw the cell boundaries of the current grid over the original image
+ */
+function drawGridOverlay() {
+    const rect = originalCanvas.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    gridOverlay.width = Math.round(rect.width * ratio);
+    gridOverlay.height = Math.round(rect.height * ratio);
+    gridOverlay.classList.toggle('hidden', !originalImage);
+
+    if (!originalImage || !detectionInfo || !showGridCheckbox.checked) return;
+
+    if (detectionInfo.sheet) {
+        drawFrameOverlay(detectionInfo.sheet.sourceFrames);
+        return;
+    }
+
+    // While dragging, show the grid being edited rather than the last result
+    const { columns, rows } = manualGrid
+        ? uniformGrid(originalImage.width, originalImage.height, manualGrid)
+        : detectionInfo;
+    const scaleX = gridOverlay.width / originalImage.width;
+    const scaleY = gridOverlay.height / originalImage.height;
+
+    // Thin out lines that would be closer than a few screen pixels
+    const stepX = Math.ceil(3 * ratio / (scaleX * (columns[1] - columns[0] || 1)));
+    const stepY = Math.ceil(3 * ratio / (scaleY * (rows[1] - rows[0] || 1)));
+
+    gridCtx.clearRect(0, 0, gridOverlay.width, gridOverlay.height);
+    gridCtx.strokeStyle = 'rgba(255, 64, 160, 0.7)';
+    gridCtx.lineWidth = 1;
+    gridCtx.beginPath();
+    for (let i = 0; i < columns.length; i += stepX) {
+        const x = Math.round(columns[i] * scaleX) + 0.5;
+        gridCtx.moveTo(x, 0);
+        gridCtx.lineTo(x, gridOverlay.height);
+    }
+    for (let i = 0; i < rows.length; i += stepY) {
+        const y = Math.round(rows[i] * scaleY) + 0.5;
+        gridCtx.moveTo(0, y);
+        gridCtx.lineTo(gridOverlay.width, y);
+    }
+    gridCtx.stroke();
+}
+
+/**
+ * Outline sprite sheet frames over the original image
+ */
+function drawFrameOverlay(frames) {
+    const scaleX = gridOverlay.width / originalImage.width;
+    const scaleY = gridOverlay.height / originalImage.height;
+
+    gridCtx.clearRect(0, 0, gridOverlay.width, gridOverlay.height);
+    gridCtx.strokeStyle = 'rgba(255, 64, 160, 0.9)';
+    gridCtx.lineWidth = 2;
+    for (const { x, y, width, height } of frames) {
+        gridCtx.strokeRect(
+            Math.round(x * scaleX) + 1, Math.round(y * scaleY) + 1,
+            Math.round(width * scaleX) - 2, Math.round(height * scaleY) - 2
+        );
+    }
+}
+
+/**
+ * Show grid parameters in the manual grid inputs
+ */
+function updateGridInputs(grid) {
+    hFactorInput.value = +grid.hFactor.toFixed(2);
+    vFactorInput.value = +grid.vFactor.toFixed(2);
+    offsetXInput.value = grid.offsetX;
+    offsetYInput.value = grid.offsetY;
+}
+
+/**
+ * Switch between the detected grid and a manual one
+ */
+function setManualGrid(grid) {
+    manualGrid = grid;
+    lockGridCheckbox.checked = Boolean(grid);
+    manualGridGroup.classList.toggle('hidden', !grid);
+    if (grid) updateGridInputs(grid);
+}
+
+/**
+ * Handle manual grid toggle (starts from the detected grid)
+ */
+function handleLockGridChange() {
+    if (lockGridCheckbox.checked && detectionInfo) {
+        const { hFactor, vFactor, offsetX, offsetY } = detectionInfo;
+        setManualGrid({ hFactor, vFactor, offsetX, offsetY });
+    } else {
+        setManualGrid(null);
+    }
+
+    if (originalImage) {
+        processImage();
+    }
+}
+
+/**
+ * Handle manual grid input change
+ */
+function handleGridInput() {
+    const hFactor = parseFloat(hFactorInput.value);
+    const vFactor = parseFloat(vFactorInput.value);
+    const offsetX = parseInt(offsetXInput.value);
+    const offsetY = parseInt(offsetYInput.value);
+    if (!(hFactor >= 1 && vFactor >= 1 && offsetX >= 0 && offsetY >= 0)) return;
+
+    manualGrid = { hFactor, vFactor, offsetX, offsetY };
+    drawGridOverlay();
+
+    if (originalImage) {
+        // Debounce the update for performance
+        clearTimeout(handleGridInput.timeout);
+        handleGridInput.timeout = setTimeout(() => {
+            processImage();
+        }, 200);
+    }
+}
+
+/**
+ * Map a pointer event to source image coordinates
+ */
+function gridPointerPosition(e) {
+    const rect = gridOverlay.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * originalImage.width / rect.width,
+        y: (e.clientY - rect.top) * originalImage.height / rect.height
+    };
+}
+
+/**
+ * Start dragging the grid (switches to a manual grid)
+ */
+function handleGridPointerDown(e) {
+    if (!originalImage || !detectionInfo || detectionInfo.sheet) return;
+
+    if (!manualGrid) {
+        const { hFactor, vFactor, offsetX, offsetY } = detectionInfo;
+        setManualGrid({ hFactor, vFactor, offsetX, offsetY });
+    }
+
+    gridOverlay.setPointerCapture(e.pointerId);
+    gridDrag = { start: gridPointerPosition(e), grid: { ...manualGrid } };
+}
+
+/**
+ * Move the grid, or stretch its cells with Shift held
+ */
+function handleGridPointerMove(e) {
+    if (!gridDrag) return;
+
+    const { start, grid } = gridDrag;
+    const pos = gridPointerPosition(e);
+    const next = { ...grid };
+
+    if (e.shiftKey) {
+        // Scale about the grid origin so the line under the pointer follows it
+        const stretch = (from, to, offset, factor) => {
+            if (from - offset < factor) return factor;
+            return Math.max(1, Math.round(factor * (to - offset) / (from - offset) * 100) / 100);
+        };
+        next.hFactor = stretch(start.x, pos.x, grid.offsetX, grid.hFactor);
+        next.vFactor = stretch(start.y, pos.y, grid.offsetY, grid.vFactor);
+    } else {
+        // Offsets wrap around within one cell
+        const wrap = (value, size) => Math.floor(((value % size) + size) % size);
+        next.offsetX = wrap(grid.offsetX + pos.x - start.x, grid.hFactor);
+        next.offsetY = wrap(grid.offsetY + pos.y - start.y, grid.vFactor);
+    }
+
+    manualGrid = next;
+    updateGridInputs(next);
+    drawGridOverlay();
+}
+
+/**
+ * Finish a grid drag and downscale over the new grid
+ */
+function handleGridPointerUp() {
+    if (!gridDrag) return;
+
+    gridDrag = null;
+    processImage();
+}
+
+/**
+ * Handle background removal mode change
+ */
+function handleBackgroundChange() {
+    if (backgroundSelect.value === 'none') {
+        backgroundOptionsGroup.classList.add('hidden');
+        fixedCanvas.classList.remove('picking');
+    } else {
+        backgroundOptionsGroup.classList.remove('hidden');
+        fixedCanvas.classList.add('picking');
+        updateBackgroundColorInput();
+    }
+
+    if (fixedImageData) {
+        applyCurrentPalette();
+    }
+}
+
+/**
+ * Handle background tolerance slider change
+ */
+function handleToleranceChange() {
+    toleranceValue.textContent = toleranceSlider.value;
+
+    if (fixedImageData) {
+        // Debounce the update for performance
+        clearTimeout(handleToleranceChange.timeout);
+        handleToleranceChange.timeout = setTimeout(() => {
+            applyCurrentPalette();
+        }, 100);
+    }
+}
+
+/**
+ * Handle a manually chosen background color
+ */
+function handleBackgroundColorInput() {
+    backgroundColor = hexToRgb(backgroundColorInput.value);
+
+    if (fixedImageData) {
+        applyCurrentPalette();
+    }
+}
+
+/**
+ * Go back to using the most common border color as background
+ */
+function handleAutoColor() {
+    backgroundColor = null;
+    updateBackgroundColorInput();
+
+    if (fixedImageData) {
+        applyCurrentPalette();
+    }
+}
+
+/**
+ * Pick the background color from the fixed image
+ */
+function handleFixedCanvasClick(e) {
+    if (!fixedImageData || backgroundSelect.value === 'none') return;
+
+    // Map the click from CSS pixels to image pixels
+    const rect = fixedCanvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) * fixedImageData.width / rect.width);
+    const y = Math.floor((e.clientY - rect.top) * fixedImageData.height / rect.height);
+    if (x < 0 || y < 0 || x >= fixedImageData.width || y >= fixedImageData.height) return;
+
+    // Sample the detected image, not the palette-mapped one
+    const idx = (y * fixedImageData.width + x) * 4;
+    const { data } = fixedImageData;
+    backgroundColor = [data[idx], data[idx + 1], data[idx + 2]];
+    updateBackgroundColorInput();
+
+    applyCurrentPalette();
+}
+
+/**
+ * Show the active background color in the color input
+ */
+function updateBackgroundColorInput() {
+    const color = backgroundColor || (fixedImageData && findBorderColor(fixedImageData));
+    if (color) {
+        backgroundColorInput.value = rgbToHex(color);
+    }
+}
+
+/**
+ * Convert [r, g, b] to a #rrggbb string
+ */
+function rgbToHex(color) {
+    return '#' + color.map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a #rrggbb string to [r, g, b]
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Handle palette file import
+ */
+async function handlePaletteImport(e) {
+    let lastKey = null;
+
+    for (const file of e.target.files) {
+        try {
+            lastKey = await importPaletteFile(file);
+        } catch (err) {
+            alert(`Could not import ${file.name}: ${err.message}`);
+        }
+    }
+    paletteFileInput.value = '';
+
+    if (lastKey) {
+        populatePaletteSelect();
+        paletteSelect.value = lastKey;
+        handlePaletteChange();
+    }
+}
+
+/**
+ * Remove the selected imported palette
+ */
+function handlePaletteRemove() {
+    removeImportedPalette(paletteSelect.value);
+    populatePaletteSelect();
+    handlePaletteChange();
+}
+
 /**
  * Handle color slider change
  */
@@ -276,38 +1250,486 @@ function handleColorSliderChange() {
 }
 
 /**
- * Handle download button click
+ * Handle download button click (opens the export dialog)
  */
 function handleDownload() {
-    if (!fixedCanvas) return;
+    if (!outputImageData) return;
+
+    exportOriginalDims.textContent = `${originalImage.width}×${originalImage.height}`;
+
+    // The original size of a sheet includes its gutters, so it can't be matched
+    exportOriginalSize.disabled = Boolean(detectionInfo.sheet);
+    if (detectionInfo.sheet) exportOriginalSize.checked = false;
+    updateExportSummary();
+    exportDialog.showModal();
+}
 
-    // Create a temporary canvas to export the actual pixel data
+/**
+ * Get the export size for the current dialog settings
+ * Sprite sheets always use the integer scale, so their atlas rects stay whole.
+ * @returns {{width: number, height: number, label: string, scale: number|null}}
+ *          Output size, file name label and the integer scale (null when
+ *          scaled back to the original size)
+ */
+function getExportSize() {
+    if (exportOriginalSize.checked && !detectionInfo.sheet) {
+        // Animation frames are stacked in the output
+        const height = originalImage.height * detectionInfo.frameCount;
+        return { width: originalImage.width, height, label: 'original', scale: null };
+    }
+
+    const scale = parseInt(exportScaleSelect.value);
+    return {
+        width: outputImageData.width * scale,
+        height: outputImageData.height * scale,
+        label: `${scale}x`,
+        scale
+    };
+}
+
+/**
+ * Get a short palette label for file names
+ */
+function getPaletteLabel() {
+    const paletteType = paletteSelect.value;
+    if (paletteType === 'none') return 'auto';
+    if (paletteType === 'custom') return `${colorSlider.value}colors`;
+    return paletteType.replace(/^imported:/, '');
+}
+
+/**
+ * Refresh the size and file name shown in the export dialog
+ */
+function updateExportSummary() {
+    exportScaleSelect.disabled = exportOriginalSize.checked;
+
+    const { width, height, label } = getExportSize();
+    const format = EXPORT_FORMATS.find(f => f.key === exportFormatSelect.value);
+    exportDims.textContent = `${width}×${height} ${format.name}`;
+    exportFileNameEl.textContent = exportFileName(originalFileName, label, getPaletteLabel(), format.extension);
+}
+
+/**
+ * Export the image when the dialog is confirmed
+ */
+function handleExportDialogClose() {
+    if (exportDialog.returnValue !== 'export' || !outputImageData) return;
+
+    const { width, height, label, scale } = getExportSize();
+    const format = EXPORT_FORMATS.find(f => f.key === exportFormatSelect.value);
+    const fileName = exportFileName(originalFileName, label, getPaletteLabel(), format.extension);
+    const exportData = scale === null
+        ? scaleNearest(outputImageData, width, height)
+        : upscale(outputImageData, scale);
+
+    if (detectionInfo.sheet) {
+        downloadAtlas(fileName, scale);
+    }
+
+    if (format.key === 'bmp') {
+        downloadBlob(new Blob([encodeBMP(exportData)], { type: format.mimeType }), fileName);
+        return;
+    }
+
+    if (format.key === 'gif' || format.key === 'apng') {
+        const frameCount = detectionInfo.frameCount;
+        const frames = gridFrames(exportData.width, exportData.height, frameCount, 1).frames
+            .map(frame => sliceFrame(exportData, frame));
+        const options = {
+            delays: animation?.delays,
+            loopCount: animation?.loopCount ?? 0,
+            palette: currentPalette || []
+        };
+        try {
+            const bytes = format.key === 'gif' ? encodeGIF(frames, options) : encodeAPNG(frames, options);
+            downloadBlob(new Blob([bytes], { type: format.mimeType }), fileName);
+        } catch (err) {
+            alert(err.message);
+        }
+        return;
+    }
+
+    if (format.key === 'png8') {
+        // Preset palettes keep their order; quantized ones are luminance-sorted
+        try {
+            const png = encodeIndexedPNG(exportData, currentPalette || []);
+            downloadBlob(new Blob([png], { type: format.mimeType }), fileName);
+        } catch (err) {
+            alert(err.message);
+        }
+        return;
+    }
+
+    // Canvas-encoded formats
     const exportCanvas = document.createElement('canvas');
-    exportCanvas.width = fixedCanvas.width;
-    exportCanvas.height = fixedCanvas.height;
-    const exportCtx = exportCanvas.getContext('2d');
-    exportCtx.drawImage(fixedCanvas, 0, 0);
+    exportCanvas.width = exportData.width;
+    exportCanvas.height = exportData.height;
+    exportCanvas.getContext('2d').putImageData(exportData, 0, 0);
 
-    // Download
     exportCanvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'pixelfixel-output.png';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        if (blob.type !== format.mimeType) {
+            alert(`This browser cannot encode ${format.name}; saving as PNG instead`);
+            downloadBlob(blob, fileName.replace(/\.[^.]+$/, '.png'));
+            return;
+        }
+        downloadBlob(blob, fileName);
+    }, format.mimeType, 1);
+}
+
+/**
+ * Download the JSON atlas for an exported sprite sheet
+ */
+function downloadAtlas(imageFileName, scale) {
+    const atlas = createAtlas(detectionInfo.sheet.frames, {
+        image: imageFileName,
+        width: outputImageData.width,
+        height: outputImageData.height,
+        scale,
+        name: imageFileName.replace(/\.[^.]+$/, '')
+    });
+    const json = JSON.stringify(atlas, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), imageFileName.replace(/\.[^.]+$/, '.json'));
+}
+
+/**
+ * Handle palette export button click
+ */
+function handleExportPalette() {
+    if (!currentPalette || currentPalette.length === 0) return;
+
+    const info = getAllPaletteInfo().find(p => p.key === paletteSelect.value);
+    const name = info ? info.name : 'PixelFixel';
+    const { data, mimeType, extension } = exportPalette(currentPalette, paletteFormatSelect.value, name);
+    const fileName = `pixelfixel-palette.${extension}`;
+
+    if (data instanceof ImageData) {
+        // PNG strip: encode through a canvas
+        const canvas = document.createElement('canvas');
+        canvas.width = data.width;
+        canvas.height = data.height;
+        canvas.getContext('2d').putImageData(data, 0, 0);
+        canvas.toBlob((blob) => downloadBlob(blob, fileName), mimeType);
+    } else {
+        downloadBlob(new Blob([data], { type: mimeType }), fileName);
+    }
+}
+
+/**
+ * Add files to the batch queue
+ */
+function addToBatch(files) {
+    for (const file of files) {
+        const entry = {
+            file,
+            thumbUrl: URL.createObjectURL(file),
+            status: 'Queued',
+            output: null,
+            info: ''
+        };
+        entry.element = createBatchItem(entry);
+        batchList.appendChild(entry.element);
+        batchQueue.push(entry);
+    }
+
+    updateBatchControls();
+}
+
+/**
+ * Create the list item for a batch entry
+ */
+function createBatchItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'batch-item';
+    item.title = entry.file.name;
+    item.addEventListener('click', () => loadImageFile(entry.file));
+
+    const thumb = document.createElement('img');
+    thumb.className = 'batch-thumb';
+    thumb.src = entry.thumbUrl;
+    thumb.alt = '';
+
+    const info = document.createElement('div');
+    info.className = 'batch-info';
+    const name = document.createElement('div');
+    name.className = 'batch-name';
+    name.textContent = entry.file.name || 'pasted image';
+    const status = document.createElement('div');
+    status.className = 'batch-status';
+    status.textContent = entry.status;
+    info.append(name, status);
+
+    const output = document.createElement('canvas');
+    output.className = 'batch-thumb';
+    output.width = 1;
+    output.height = 1;
+
+    item.append(thumb, info, output);
+    return item;
+}
+
+/**
+ * Refresh a batch entry's status and output thumbnail
+ */
+function updateBatchItem(entry) {
+    const status = entry.element.querySelector('.batch-status');
+    status.textContent = entry.info ? `${entry.status} · ${entry.info}` : entry.status;
+    entry.element.classList.toggle('error', entry.status === 'Failed');
+
+    if (entry.output) {
+        const canvas = entry.element.querySelector('canvas');
+        canvas.width = entry.output.width;
+        canvas.height = entry.output.height;
+        canvas.getContext('2d').putImageData(entry.output, 0, 0);
+    }
+}
+
+/**
+ * Refresh the batch header and buttons
+ */
+function updateBatchControls() {
+    const done = batchQueue.filter(entry => entry.output).length;
+    batchSection.classList.toggle('hidden', batchQueue.length === 0);
+    batchCount.textContent = `(${done}/${batchQueue.length} done)`;
+    batchProcessButton.textContent = batchRunning ? 'Stop' : 'Process All';
+    batchZipButton.disabled = batchRunning || done === 0;
+}
+
+/**
+ * Decode an image file to image data
+ */
+async function decodeImageFile(file) {
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Process every queued file with the current settings (or stop a running batch)
+ */
+async function handleBatchProcess() {
+    if (batchRunning) {
+        batchClient.cancel();
+        return;
+    }
+
+    batchRunning = true;
+    const detectOptions = getDetectOptions();
+    const paletteOptions = getPaletteOptions();
+    const shared = sharedPaletteCheckbox.checked;
+
+    for (const entry of batchQueue) {
+        entry.status = 'Queued';
+        entry.downscaled = null;
+        entry.output = null;
+        entry.info = '';
+        updateBatchItem(entry);
+    }
+    displayBatchPalette(null);
+    updateBatchControls();
+
+    // With a shared palette every file is detected before any is mapped
+    const completed = await runBatchPass(batchQueue, 'Detecting', async (entry) => {
+        const imageData = await decodeImageFile(entry.file);
+        const stage = detectOptions.sheet ? 'sheet' : 'detect';
+        const { imageData: downscaled, result } = await batchClient.run(stage, imageData, detectOptions);
+        entry.downscaled = downscaled;
+        entry.factor = Math.max(result.hFactor, result.vFactor);
+
+        if (shared) {
+            entry.status = 'Detected';
+            entry.info = `${entry.factor.toFixed(1)}x → ${downscaled.width}×${downscaled.height}`;
+        } else {
+            await mapBatchEntry(entry, paletteOptions);
+        }
     });
+
+    const detected = batchQueue.filter(entry => entry.downscaled);
+    if (shared && completed && detected.length > 0) {
+        const palette = await buildBatchPalette(detected, paletteOptions);
+        if (palette) {
+            displayBatchPalette(palette);
+            const sharedOptions = { ...paletteOptions, mode: 'palette', palette };
+            await runBatchPass(detected, 'Mapping', (entry) => mapBatchEntry(entry, sharedOptions));
+        }
+    }
+
+    batchRunning = false;
+    updateBatchControls();
+}
+
+/**
+ * Run one processing step over batch entries in order
+ * @param {Array<Object>} entries - Batch entries
+ * @param {string} status - Status shown while an entry is processed
+ * @param {Function} step - async (entry) => void
+ * @returns {Promise<boolean>} False if the batch was stopped
+ */
+async function runBatchPass(entries, status, step) {
+    for (const entry of entries) {
+        entry.status = status;
+        updateBatchItem(entry);
+
+        try {
+            await step(entry);
+        } catch (err) {
+            if (err instanceof CancelledError) {
+                entry.status = 'Stopped';
+                updateBatchItem(entry);
+                return false;
+            }
+            entry.status = 'Failed';
+            entry.info = err.message;
+        }
+
+        updateBatchItem(entry);
+        updateBatchControls();
+    }
+
+    return true;
+}
+
+/**
+ * Build the palette shared by the detected batch entries in the worker
+ * @param {Array<Object>} entries - Batch entries with downscaled image data
+ * @param {Object} options - Palette stage options
+ * @returns {Promise<Array<Array<number>>|null>} Palette, or null if the batch
+ *          was stopped or the palette failed
+ */
+async function buildBatchPalette(entries, options) {
+    for (const entry of entries) {
+        entry.status = 'Building palette';
+        updateBatchItem(entry);
+    }
+
+    try {
+        const { result } = await batchClient.run('sharedPalette', entries.map(entry => entry.downscaled), {
+            ...options,
+            maxColors: parseInt(sharedMaxColorsInput.value) || 32
+        });
+        return result.palette;
+    } catch (err) {
+        for (const entry of entries) {
+            entry.status = err instanceof CancelledError ? 'Stopped' : 'Detected';
+            updateBatchItem(entry);
+        }
+        if (!(err instanceof CancelledError)) alert(`Shared palette failed: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Run the palette stage for a detected batch entry
+ * @param {Object} entry - Batch entry with downscaled image data
+ * @param {Object} options - Palette stage options
+ */
+async function mapBatchEntry(entry, options) {
+    const { imageData: output, result } = await batchClient.run('palette', entry.downscaled, options);
+
+    entry.status = 'Done';
+    entry.output = output;
+    entry.palette = result.palette;
+    entry.info = `${entry.factor.toFixed(1)}x → ${output.width}×${output.height}, ${result.colorCount} colors`;
+}
+
+/**
+ * Show the palette shared by the batch (or hide it)
+ */
+function displayBatchPalette(palette) {
+    batchPalette.replaceChildren();
+    batchPalette.classList.toggle('hidden', !palette || palette.length === 0);
+    if (!palette) return;
+
+    for (const color of palette) {
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = rgbToHex(color);
+        swatch.title = `${rgbToHex(color)} (${color.join(', ')})`;
+        batchPalette.appendChild(swatch);
+    }
+}
+
+/**
+ * Download all processed batch outputs as one ZIP
+ */
+function handleBatchZip() {
+    const scale = parseInt(batchScaleSelect.value);
+    const paletteLabel = getPaletteLabel();
+    const usedNames = new Set();
+    const entries = [];
+
+    for (const entry of batchQueue) {
+        if (!entry.output) continue;
+
+        // Keep names unique inside the archive
+        let fileName = exportFileName(entry.file.name, `${scale}x`, paletteLabel, 'png');
+        for (let n = 2; usedNames.has(fileName); n++) {
+            fileName = exportFileName(entry.file.name, `${scale}x`, `${paletteLabel}-${n}`, 'png');
+        }
+        usedNames.add(fileName);
+
+        // Same encoding as the CLI: indexed, or RGBA for too many colors
+        const output = upscale(entry.output, scale);
+        let data;
+        try {
+            data = encodeIndexedPNG(output, entry.palette || []);
+        } catch (err) {
+            data = encodePNG(output);
+        }
+        entries.push({ name: fileName, data });
+    }
+
+    const zip = createZip(entries);
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), 'pixelfixel-batch.zip');
+}
+
+/**
+ * Stop the batch and empty the queue
+ */
+function clearBatch() {
+    batchClient.cancel();
+    for (const entry of batchQueue) {
+        URL.revokeObjectURL(entry.thumbUrl);
+    }
+    batchQueue = [];
+    batchList.replaceChildren();
+    displayBatchPalette(null);
+    updateBatchControls();
+}
+
+/**
+ * Save a blob as a file download
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 }
 
 /**
  * Handle reset button click
  */
 function handleReset() {
+    handleCancel();
+    clearBatch();
+
     originalImage = null;
+    originalFileName = '';
+    animation = null;
     fixedImageData = null;
+    outputImageData = null;
     detectionInfo = null;
+    currentPalette = null;
+    displayDetectionWarning(null);
 
     processingSection.classList.add('hidden');
     fileInput.value = '';
@@ -315,10 +1737,41 @@ function handleReset() {
     // Reset canvas styling
     fixedCanvas.style.width = '';
     fixedCanvas.style.height = '';
+    displayPalette(null);
 
-    // Reset palette selection
+    // Reset palette, dithering, metric, grid and background selection
     paletteSelect.value = 'none';
+    removePaletteButton.classList.add('hidden');
+    quantizerSelect.value = 'median-cut';
+    refineCheckbox.checked = false;
+    quantizerGroup.classList.remove('hidden');
+    metricSelect.value = 'rgb';
+    ditherSelect.value = 'none';
+    ditherStrengthGroup.classList.add('hidden');
+    ditherStrengthSlider.value = 100;
+    ditherStrengthValue.textContent = '100';
+    gridSelect.value = 'uniform';
+    methodSelect.value = 'peaks';
+    sheetModeSelect.value = 'off';
+    sheetGridInputs.classList.add('hidden');
+    targetGroup.classList.remove('hidden');
+    lockGridLabel.classList.remove('hidden');
+    alphaSlider.value = 128;
+    alphaValue.textContent = '128';
+    backgroundSelect.value = 'none';
+    backgroundOptionsGroup.classList.add('hidden');
+    fixedCanvas.classList.remove('picking');
+    backgroundColor = null;
     customColorGroup.classList.add('hidden');
+    targetSizeSelect.value = '';
+    targetFitSelect.value = 'snap';
+    targetAnchorSelect.value = 'center';
+    targetOptionsGroup.classList.add('hidden');
+    targetCustomInputs.classList.add('hidden');
+    targetAnchorSelect.classList.add('hidden');
+    showGridCheckbox.checked = true;
+    setManualGrid(null);
+    drawGridOverlay();
 }
 
 // Initialize when DOM is ready
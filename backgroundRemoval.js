@@ -0,0 +1,123 @@
+/**
+ * Background removal for downscaled pixel art
+ * Flood fill from the image borders, or key out a single color
+ */
+
+import { createImageData } from './imageData.js';
+
+/**
+ * Remove the background of an image, making it transparent
+ * @param {ImageData} imageData - Source image data
+ * @param {Object} [options] - Removal options
+ * @param {string} [options.mode='none'] - 'none', 'flood' (fill inward from the
+ *        borders) or 'key' (remove the color everywhere)
+ * @param {number} [options.tolerance=24] - Maximum RGB distance from the key color
+ * @param {Array<number>|null} [options.color=null] - [r, g, b] key color; when
+ *        null the most common border color is used
+ * @returns {ImageData} Image with background pixels fully transparent
+ */
+export function removeBackground(imageData, options = {}) {
+    const { mode = 'none', tolerance = 24, color = null } = options;
+    if (mode === 'none') return imageData;
+
+    const { data, width, height } = imageData;
+    const keyColor = color || findBorderColor(imageData);
+    if (!keyColor) return imageData;
+
+    const outputData = new Uint8ClampedArray(data);
+    const maxDist = tolerance * tolerance;
+
+    const matches = (pixel) => {
+        const idx = pixel * 4;
+        if (data[idx + 3] === 0) return true; // Already transparent
+
+        const dr = data[idx] - keyColor[0];
+        const dg = data[idx + 1] - keyColor[1];
+        const db = data[idx + 2] - keyColor[2];
+        return dr * dr + dg * dg + db * db <= maxDist;
+    };
+
+    const clear = (pixel) => {
+        outputData.fill(0, pixel * 4, pixel * 4 + 4);
+    };
+
+    if (mode === 'key') {
+        for (let pixel = 0; pixel < width * height; pixel++) {
+            if (matches(pixel)) clear(pixel);
+        }
+        return createImageData(outputData, width, height);
+    }
+
+    // Flood fill (4-connected) starting from every matching border pixel
+    const visited = new Uint8Array(width * height);
+    const stack = [];
+
+    const visit = (x, y) => {
+        const pixel = y * width + x;
+        if (visited[pixel]) return;
+        visited[pixel] = 1;
+        if (matches(pixel)) stack.push(pixel);
+    };
+
+    for (let x = 0; x < width; x++) {
+        visit(x, 0);
+        visit(x, height - 1);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(0, y);
+        visit(width - 1, y);
+    }
+
+    while (stack.length > 0) {
+        const pixel = stack.pop();
+        clear(pixel);
+
+        const x = pixel % width;
+        const y = (pixel - x) / width;
+        if (x > 0) visit(x - 1, y);
+        if (x < width - 1) visit(x + 1, y);
+        if (y > 0) visit(x, y - 1);
+        if (y < height - 1) visit(x, y + 1);
+    }
+
+    return createImageData(outputData, width, height);
+}
+
+/**
+ * Find the most common opaque color along the image border
+ * @param {ImageData} imageData - Source image data
+ * @returns {Array<number>|null} [r, g, b] color, or null if the border is transparent
+ */
+export function findBorderColor(imageData) {
+    const { data, width, height } = imageData;
+    const counts = new Map();
+
+    const count = (x, y) => {
+        const idx = (y * width + x) * 4;
+        if (data[idx + 3] === 0) return;
+
+        const key = (data[idx] << 16) | (data[idx + 1] << 8) | data[idx + 2];
+        counts.set(key, (counts.get(key) || 0) + 1);
+    };
+
+    for (let x = 0; x < width; x++) {
+        count(x, 0);
+        if (height > 1) count(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        count(0, y);
+        if (width > 1) count(width - 1, y);
+    }
+
+    let bestKey = -1;
+    let bestCount = 0;
+    for (const [key, n] of counts) {
+        if (n > bestCount) {
+            bestCount = n;
+            bestKey = key;
+        }
+    }
+
+    if (bestKey < 0) return null;
+    return [(bestKey >> 16) & 255, (bestKey >> 8) & 255, bestKey & 255];
+}
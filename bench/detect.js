@@ -0,0 +1,38 @@
+/**
+ * Detection benchmark
+ * Times kCentroid and the full pixelDetect (both cell size methods) on
+ * synthetic upscaled pixel art
+ *
+ * Usage: node bench/detect.js [runs]
+ */
+
+import { kCentroid, pixelDetect } from '../pixelDetect.js';
+import { syntheticImage, time } from './synthetic.js';
+
+const SIZES = [
+    { name: '512×512', width: 512, height: 512, factor: 4 },
+    { name: '1080p', width: 1920, height: 1080, factor: 6 },
+    { name: '4K', width: 3840, height: 2160, factor: 8 }
+];
+
+const runs = parseInt(process.argv[2]) || 3;
+const results = [];
+
+for (const { name, width, height, factor } of SIZES) {
+    for (const noise of [0, 24]) {
+        const image = syntheticImage(width, height, factor, noise);
+        const columns = Math.floor(width / factor);
+        const rows = Math.floor(height / factor);
+
+        results.push({
+            image: name,
+            noise,
+            'kCentroid (ms)': time(() => kCentroid(image, columns, rows, 2), runs).toFixed(1),
+            'pixelDetect (ms)': time(() => pixelDetect(image), runs).toFixed(1),
+            'pixelDetect fft (ms)': time(() => pixelDetect(image, { method: 'fft' }), runs).toFixed(1),
+            'fft factor': pixelDetect(image, { method: 'fft' }).hFactor
+        });
+    }
+}
+
+console.table(results);
@@ -0,0 +1,44 @@
+/**
+ * Quantization benchmark
+ * Times auto color count detection, median cut quantization and palette
+ * mapping on synthetic images at downscaled sizes
+ *
+ * Usage: node bench/quantize.js [runs]
+ */
+
+import { determineBestK, quantizeImage, applyPalette } from '../paletteApply.js';
+import { getPalette } from '../presets.js';
+import { syntheticImage, time } from './synthetic.js';
+
+const SIZES = [
+    { name: '128×128', width: 128, height: 128 },
+    { name: '512×512', width: 512, height: 512 }
+];
+
+const METRICS = ['rgb', 'oklab', 'ciede2000'];
+
+const runs = parseInt(process.argv[2]) || 3;
+const palette = getPalette('pico8');
+const results = [];
+
+for (const { name, width, height } of SIZES) {
+    for (const noise of [0, 24]) {
+        const image = syntheticImage(width, height, 1, noise);
+
+        for (const metric of METRICS) {
+            const k = determineBestK(image, 32, { metric });
+
+            results.push({
+                image: name,
+                noise,
+                metric,
+                'auto k': k,
+                'determineBestK (ms)': time(() => determineBestK(image, 32, { metric }), runs).toFixed(1),
+                'quantizeImage (ms)': time(() => quantizeImage(image, k, { metric }), runs).toFixed(1),
+                'applyPalette (ms)': time(() => applyPalette(image, palette, { metric }), runs).toFixed(1)
+            });
+        }
+    }
+}
+
+console.table(results);
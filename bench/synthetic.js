@@ -0,0 +1,70 @@
+/**
+ * Shared helpers for the benchmarks
+ * Synthetic images and timing, runnable in Node without a canvas
+ */
+
+import { createImageData } from '../imageData.js';
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Build an upscaled pixel art image from a small random palette
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} factor - Upscaling factor
+ * @param {number} noise - Per-pixel noise amplitude, like AI-generated art
+ * @returns {ImageData} Synthetic image
+ */
+export function syntheticImage(width, height, factor, noise) {
+    const random = createRandom(42);
+    const palette = Array.from({ length: 16 }, () => [0, 0, 0].map(() => Math.floor(random() * 256)));
+    const columns = Math.ceil(width / factor);
+    const rows = Math.ceil(height / factor);
+    const cells = Uint8Array.from({ length: columns * rows }, () => Math.floor(random() * palette.length));
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const color = palette[cells[Math.floor(y / factor) * columns + Math.floor(x / factor)]];
+            const idx = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                data[idx + c] = color[c] + (noise ? (random() - 0.5) * noise : 0);
+            }
+            data[idx + 3] = 255;
+        }
+    }
+
+    return createImageData(data, width, height);
+}
+
+/**
+ * Median time of several runs
+ * @param {Function} fn - Function to time
+ * @param {number} runs - Number of runs
+ * @returns {number} Median time in ms
+ */
+export function time(fn, runs) {
+    const times = [];
+    for (let i = 0; i < runs; i++) {
+        const start = performance.now();
+        fn();
+        times.push(performance.now() - start);
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
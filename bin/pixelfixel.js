@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+/**
+ * PixelFixel command-line tool
+ * Fixes AI-generated pixel art in asset pipelines: decodes PNGs, detects the
+ * pixel grid, reduces the palette and writes clean PNGs. Prints the detection
+ * results of every file as JSON.
+ *
+ * Usage: pixelfixel [options] <files or globs...>
+ */
+
+import { readFile, writeFile, mkdir, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { decodePNG, encodeIndexedPNG, encodePNG } from '../png.js';
+import { fixPixelArt } from '../pixelFixel.js';
+import { exportFileName } from '../imageExport.js';
+import { getPalette, getAllPaletteInfo } from '../presets.js';
+import { parsePaletteFile } from '../paletteIO.js';
+import { DITHER_METHODS } from '../dither.js';
+import { COLOR_METRICS } from '../colorMetrics.js';
+import { QUANTIZERS } from '../quantizers.js';
+import { DETECTION_METHODS } from '../pixelDetect.js';
+
+const USAGE = `Usage: pixelfixel [options] <files or globs...>
+
+Fix AI-generated pixel art PNGs: detect the pixel grid, downscale to one
+pixel per cell and reduce the colors. Images that already look like pixel
+art at one pixel per cell keep their size. Quote globs ("art/**/*.png") to
+let pixelfixel expand them; glob matches named like earlier outputs
+(name-4x-auto.png) are skipped, and with --output each match keeps its path
+below the glob's base directory.
+
+Options:
+  -p, --palette <name|file>  Map to a preset palette or a palette file
+                             (.gpl, .hex, .txt, .json, .pal, .act)
+  -c, --colors <n|auto>      Number of colors when no palette is given (default auto)
+  -s, --scale <n>            Integer upscale of the output (default 1)
+  -o, --output <path>        Output file (one input) or directory
+                             (default: next to each input)
+      --dither <method>      ${DITHER_METHODS.map(d => d.key).join(', ')} (default none)
+      --metric <metric>      ${COLOR_METRICS.map(m => m.key).join(', ')} (default rgb)
+      --quantizer <name>     ${QUANTIZERS.map(q => q.key).join(', ')} (default median-cut)
+      --grid <type>          uniform or adaptive (default uniform)
+      --method <method>      ${DETECTION_METHODS.map(m => m.key).join(', ')} (default peaks)
+      --alpha <0-255>        Alpha cutoff for transparent pixels (default 128)
+      --list-palettes        List the preset palettes
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+    palette: { type: 'string', short: 'p' },
+    colors: { type: 'string', short: 'c', default: 'auto' },
+    scale: { type: 'string', short: 's', default: '1' },
+    output: { type: 'string', short: 'o' },
+    dither: { type: 'string', default: 'none' },
+    metric: { type: 'string', default: 'rgb' },
+    quantizer: { type: 'string', default: 'median-cut' },
+    grid: { type: 'string', default: 'uniform' },
+    method: { type: 'string', default: 'peaks' },
+    alpha: { type: 'string', default: '128' },
+    'list-palettes': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Check that a value is one of a list's keys
+ * @param {string} name - Option name, for the error message
+ * @param {string} value - Option value
+ * @param {Array<{key: string}>} list - Allowed values
+ * @returns {string} The value
+ * @throws {Error} If the value isn't allowed
+ */
+function checkChoice(name, value, list) {
+    if (!list.some(item => item.key === value)) {
+        throw new Error(`Invalid --${name} "${value}" (expected ${list.map(item => item.key).join(', ')})`);
+    }
+    return value;
+}
+
+/**
+ * Parse an integer option
+ * @param {string} name - Option name, for the error message
+ * @param {string} value - Option value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} Parsed value
+ * @throws {Error} If the value isn't an integer in range
+ */
+function parseInteger(name, value, min, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`Invalid --${name} "${value}" (expected an integer from ${min} to ${max})`);
+    }
+    return number;
+}
+
+/**
+ * Load a preset palette by key, or a palette file
+ * @param {string} value - Preset key or file path
+ * @returns {Promise<{label: string, colors: Array<Array<number>>}>} Palette
+ *          and a short label for output file names
+ * @throws {Error} If it's neither
+ */
+async function loadPalette(value) {
+    const preset = getPalette(value);
+    if (preset) return { label: value, colors: preset };
+
+    let buffer;
+    try {
+        buffer = await readFile(value);
+    } catch (err) {
+        throw new Error(`Unknown palette "${value}" (see --list-palettes, or give a palette file)`);
+    }
+
+    const fileName = path.basename(value);
+    const { colors } = parsePaletteFile(fileName, buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+    return { label: fileName.replace(/\.[^.]+$/, ''), colors };
+}
+
+/**
+ * Convert one glob path segment to a regular expression
+ * Supports *, ? and [...] classes
+ * @param {string} segment - Segment without slashes
+ * @returns {RegExp} Regular expression matching whole names
+ */
+function segmentToRegExp(segment) {
+    let source = '';
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+        if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && segment.indexOf(']', i + 2) > 0) {
+            const end = segment.indexOf(']', i + 2);
+            source += `[${segment.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * List a directory, treating a missing or unreadable one as empty
+ * @param {string} dir - Directory path
+ * @returns {Promise<Array<fs.Dirent>>} Entries
+ */
+async function listDirectory(dir) {
+    try {
+        return await readdir(dir, { withFileTypes: true });
+    } catch (err) {
+        return [];
+    }
+}
+
+/**
+ * Find the paths below a directory that match glob segments
+ * @param {string} base - Directory to match in
+ * @param {Array<string>} segments - Remaining pattern segments
+ * @returns {Promise<Array<string>>} Matching file paths
+ */
+async function matchSegments(base, segments) {
+    if (segments.length === 0) return [base];
+
+    const [segment, ...rest] = segments;
+    const isPattern = /[*?[]/.test(segment);
+
+    if (segment === '**') {
+        // Zero or more directories (hidden ones are skipped)
+        const matches = await matchSegments(base, rest);
+        for (const entry of await listDirectory(base)) {
+            if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                matches.push(...await matchSegments(path.join(base, entry.name), segments));
+            }
+        }
+        return matches;
+    }
+
+    if (!isPattern) {
+        return matchSegments(path.join(base, segment), rest);
+    }
+
+    const regex = segmentToRegExp(segment);
+    const matches = [];
+    for (const entry of await listDirectory(base)) {
+        if (entry.name.startsWith('.') && !segment.startsWith('.')) continue;
+        if (!regex.test(entry.name)) continue;
+        if (rest.length === 0 ? entry.isFile() : entry.isDirectory()) {
+            matches.push(...await matchSegments(path.join(base, entry.name), rest));
+        }
+    }
+    return matches;
+}
+
+// Names written by pixelfixel (see exportFileName): <name>-<scale>x-<palette>.png
+const OUTPUT_NAME = /^[a-z0-9._-]+-\d+x-[a-z0-9._-]+\.png$/;
+
+/**
+ * Expand file arguments, which may be globs
+ * Plain paths are kept as given, so missing files are reported per file.
+ * Glob matches that look like pixelfixel outputs are skipped, so running the
+ * same glob again doesn't fix the previous results.
+ * @param {Array<string>} patterns - File paths or glob patterns
+ * @returns {Promise<Array<{file: string, base: string}>>} Files without
+ *          duplicates, each with the directory its output path is relative to
+ *          (the glob's literal part, or the file's own directory)
+ */
+async function expandFiles(patterns) {
+    const files = new Map();
+
+    for (const pattern of patterns) {
+        if (!/[*?[]/.test(pattern)) {
+            if (!files.has(pattern)) files.set(pattern, { file: pattern, base: path.dirname(pattern) });
+            continue;
+        }
+
+        const segments = pattern.split(/[\\/]+/);
+        const root = path.isAbsolute(pattern) ? path.parse(pattern).root : '.';
+        if (path.isAbsolute(pattern)) segments.shift();
+
+        // Outputs keep their path below the part of the pattern without wildcards
+        const literal = [];
+        while (literal.length < segments.length - 1 && !/[*?[]/.test(segments[literal.length])) {
+            literal.push(segments[literal.length]);
+        }
+        const base = path.join(root, ...literal);
+
+        const matches = (await matchSegments(base, segments.slice(literal.length).filter(Boolean))).sort();
+        const inputs = matches.filter(file => !OUTPUT_NAME.test(path.basename(file)));
+        if (matches.length === 0) {
+            console.error(`pixelfixel: no files match ${pattern}`);
+        } else if (inputs.length < matches.length) {
+            console.error(`pixelfixel: skipped ${matches.length - inputs.length} earlier output file(s) matching ${pattern}`);
+        }
+        for (const file of inputs) {
+            if (!files.has(file)) files.set(file, { file, base });
+        }
+    }
+
+    return [...files.values()];
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} target - Path
+ * @returns {Promise<boolean>} True for a directory
+ */
+async function isDirectory(target) {
+    try {
+        return (await stat(target)).isDirectory();
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Fix one PNG file and write the result
+ * @param {string} file - Input path
+ * @param {string} outputPath - Output path
+ * @param {Object} options - fixPixelArt options
+ * @returns {Promise<Object>} Detection and output summary for the JSON report
+ */
+async function processFile(file, outputPath, options) {
+    const bytes = new Uint8Array(await readFile(file));
+    const image = decodePNG(bytes);
+
+    const result = fixPixelArt(image, options);
+    const output = result.imageData;
+    if (result.isNative) {
+        console.error(`pixelfixel: ${file}: already looks like 1:1 pixel art, keeping its size`);
+    }
+
+    // Indexed PNGs are smaller; fall back to RGBA for too many colors
+    let png;
+    try {
+        png = encodeIndexedPNG(output, result.palette || []);
+    } catch (err) {
+        png = encodePNG(output);
+    }
+    await writeFile(outputPath, png);
+
+    return {
+        file,
+        output: outputPath,
+        width: image.width,
+        height: image.height,
+        hFactor: result.hFactor,
+        vFactor: result.vFactor,
+        offsetX: result.offsetX,
+        offsetY: result.offsetY,
+        outputWidth: output.width,
+        outputHeight: output.height,
+        colors: result.colorCount,
+        method: result.method,
+        confidence: result.confidence,
+        isNative: result.isNative,
+        candidates: result.candidates,
+        detectTime: result.detectTime,
+        paletteTime: result.paletteTime
+    };
+}
+
+/**
+ * Run the command line tool
+ * @param {Array<string>} args - Command-line arguments
+ */
+async function main(args) {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (values['list-palettes']) {
+        for (const { key, name, colorCount } of getAllPaletteInfo()) {
+            console.log(`${key.padEnd(16)} ${name} (${colorCount} colors)`);
+        }
+        return;
+    }
+    if (positionals.length === 0) {
+        throw new Error('No input files (see --help)');
+    }
+
+    const scale = parseInteger('scale', values.scale, 1, 64);
+    const options = {
+        scale,
+        grid: checkChoice('grid', values.grid, [{ key: 'uniform' }, { key: 'adaptive' }]),
+        method: checkChoice('method', values.method, DETECTION_METHODS),
+        alphaThreshold: parseInteger('alpha', values.alpha, 0, 255),
+        metric: checkChoice('metric', values.metric, COLOR_METRICS),
+        quantizer: checkChoice('quantizer', values.quantizer, QUANTIZERS),
+        dither: checkChoice('dither', values.dither, DITHER_METHODS)
+    };
+
+    let paletteLabel;
+    if (values.palette) {
+        const palette = await loadPalette(values.palette);
+        options.palette = palette.colors;
+        paletteLabel = palette.label;
+    } else if (values.colors === 'auto') {
+        paletteLabel = 'auto';
+    } else {
+        options.colors = parseInteger('colors', values.colors, 2, 256);
+        paletteLabel = `${options.colors}colors`;
+    }
+
+    const files = await expandFiles(positionals);
+    if (files.length === 0) throw new Error('No input files found');
+
+    // One input may be written to a file name; otherwise --output is a directory
+    const output = values.output;
+    const outputIsFile = output && files.length === 1 && !/[\\/]$/.test(output) && !await isDirectory(output);
+
+    // Work out every output path first, so nothing is overwritten by a later file
+    const jobs = files.map(({ file, base }) => {
+        const name = exportFileName(path.basename(file), `${scale}x`, paletteLabel, 'png');
+        const outputPath = outputIsFile
+            ? output
+            : output
+                ? path.join(output, path.relative(base, path.dirname(file)), name)
+                : path.join(path.dirname(file), name);
+        return { file, outputPath };
+    });
+    const seen = new Map();
+    for (const { file, outputPath } of jobs) {
+        const key = path.resolve(outputPath);
+        if (seen.has(key)) {
+            throw new Error(`${seen.get(key)} and ${file} would both be written to ${outputPath}`);
+        }
+        seen.set(key, file);
+    }
+
+    const results = [];
+    for (const { file, outputPath } of jobs) {
+        try {
+            await mkdir(path.dirname(outputPath), { recursive: true });
+            results.push(await processFile(file, outputPath, options));
+        } catch (err) {
+            console.error(`pixelfixel: ${file}: ${err.message}`);
+            results.push({ file, error: err.message });
+            process.exitCode = 1;
+        }
+    }
+
+    console.log(JSON.stringify(results, null, 2));
+}
+
+main(process.argv.slice(2)).catch((err) => {
+    console.error(`pixelfixel: ${err.message}`);
+    process.exitCode = 2;
+});
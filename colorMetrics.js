@@ -0,0 +1,269 @@
+/**
+ * Color distance metrics
+ * Each metric maps RGB into its own coordinate space (used for clustering and
+ * splitting) and measures squared distances between points in that space
+ */
+
+/**
+ * Available color metrics
+ */
+export const COLOR_METRICS = [
+    { key: 'rgb', name: 'RGB (Euclidean)' },
+    { key: 'weighted', name: 'Weighted RGB' },
+    { key: 'oklab', name: 'OKLab' },
+    { key: 'ciede2000', name: 'CIELAB ΔE2000' }
+];
+
+// Per-channel weights for weighted RGB (the common "redmean" averages)
+const RGB_WEIGHTS = [Math.sqrt(2), Math.sqrt(4), Math.sqrt(3)];
+
+/**
+ * Squared Euclidean distance between two points
+ * @param {Array<number>} p1 - First point
+ * @param {Array<number>} p2 - Second point
+ * @returns {number} Squared distance
+ */
+function euclideanSquared(p1, p2) {
+    const d0 = p1[0] - p2[0];
+    const d1 = p1[1] - p2[1];
+    const d2 = p1[2] - p2[2];
+    return d0 * d0 + d1 * d1 + d2 * d2;
+}
+
+const METRICS = {
+    rgb: {
+        key: 'rgb',
+        channelWeights: [1, 1, 1],
+        euclidean: true,
+        toSpace: (color) => [color[0], color[1], color[2]],
+        toPoint: (r, g, b, out, offset) => {
+            out[offset] = r;
+            out[offset + 1] = g;
+            out[offset + 2] = b;
+        },
+        distance: euclideanSquared
+    },
+
+    weighted: {
+        key: 'weighted',
+        channelWeights: RGB_WEIGHTS,
+        euclidean: true,
+        toSpace: (color) => [
+            color[0] * RGB_WEIGHTS[0],
+            color[1] * RGB_WEIGHTS[1],
+            color[2] * RGB_WEIGHTS[2]
+        ],
+        toPoint: (r, g, b, out, offset) => {
+            out[offset] = r * RGB_WEIGHTS[0];
+            out[offset + 1] = g * RGB_WEIGHTS[1];
+            out[offset + 2] = b * RGB_WEIGHTS[2];
+        },
+        distance: euclideanSquared
+    },
+
+    oklab: {
+        key: 'oklab',
+        euclidean: true,
+        toSpace: rgbToOklab,
+        toPoint: oklabPoint,
+        distance: euclideanSquared
+    },
+
+    ciede2000: {
+        key: 'ciede2000',
+        toSpace: rgbToLab,
+        toPoint: labPoint,
+        distance: deltaE2000Squared
+    }
+};
+
+/**
+ * Get a color metric by key
+ * A metric has toSpace([r, g, b]) returning coordinates in its space and
+ * distance(p1, p2) returning the squared distance between two such points.
+ * For hot loops, toPoint(r, g, b, out, offset) writes the coordinates into
+ * a flat array instead of allocating one; metrics whose distance is plain
+ * Euclidean are marked euclidean, and those that are only scaled RGB also
+ * have channelWeights.
+ * @param {string|Object} [key='rgb'] - Metric key (or an already resolved metric)
+ * @returns {{key: string, toSpace: Function, toPoint: Function,
+ *            distance: Function, euclidean?: boolean,
+ *            channelWeights?: Array<number>}} Metric
+ */
+export function getColorMetric(key = 'rgb') {
+    if (typeof key === 'object' && key !== null) return key;
+    return METRICS[key] || METRICS.rgb;
+}
+
+// Linear light of every integer channel value; others (from dithering) are computed
+const LINEAR_TABLE = Float64Array.from({ length: 256 }, (_, i) => {
+    const v = i / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+});
+
+/**
+ * Convert an sRGB channel (0-255) to linear light (0-1)
+ * @param {number} value - sRGB channel value
+ * @returns {number} Linear value
+ */
+function srgbToLinear(value) {
+    if (value === (value & 0xff)) return LINEAR_TABLE[value];
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert RGB to OKLab
+ * @param {Array<number>} color - [r, g, b] color
+ * @returns {Array<number>} [L, a, b] in OKLab (L in 0-1)
+ */
+export function rgbToOklab(color) {
+    const out = [0, 0, 0];
+    oklabPoint(color[0], color[1], color[2], out, 0);
+    return out;
+}
+
+/**
+ * Write the OKLab coordinates of an RGB color into a flat array
+ * @param {number} red - Red (0-255)
+ * @param {number} green - Green (0-255)
+ * @param {number} blue - Blue (0-255)
+ * @param {Array<number>|Float64Array} out - Target array
+ * @param {number} offset - Index of L in out
+ */
+function oklabPoint(red, green, blue, out, offset) {
+    const r = srgbToLinear(red);
+    const g = srgbToLinear(green);
+    const b = srgbToLinear(blue);
+
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    out[offset] = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+    out[offset + 1] = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+    out[offset + 2] = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+}
+
+/**
+ * Convert RGB to CIELAB (D65 white point)
+ * @param {Array<number>} color - [r, g, b] color
+ * @returns {Array<number>} [L, a, b] in CIELAB (L in 0-100)
+ */
+export function rgbToLab(color) {
+    const out = [0, 0, 0];
+    labPoint(color[0], color[1], color[2], out, 0);
+    return out;
+}
+
+/**
+ * Write the CIELAB coordinates of an RGB color into a flat array
+ * @param {number} red - Red (0-255)
+ * @param {number} green - Green (0-255)
+ * @param {number} blue - Blue (0-255)
+ * @param {Array<number>|Float64Array} out - Target array
+ * @param {number} offset - Index of L in out
+ */
+function labPoint(red, green, blue, out, offset) {
+    const r = srgbToLinear(red);
+    const g = srgbToLinear(green);
+    const b = srgbToLinear(blue);
+
+    // Linear sRGB to XYZ, normalized by the D65 white point
+    const fx = labCompand((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047);
+    const fy = labCompand(0.2126729 * r + 0.7151522 * g + 0.0721750 * b);
+    const fz = labCompand((0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883);
+
+    out[offset] = 116 * fy - 16;
+    out[offset + 1] = 500 * (fx - fy);
+    out[offset + 2] = 200 * (fy - fz);
+}
+
+/**
+ * CIELAB companding of a normalized XYZ component
+ * @param {number} t - X, Y or Z divided by the white point
+ * @returns {number} f(t)
+ */
+function labCompand(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+/**
+ * Hue angle in degrees (0-360)
+ * @param {number} b - b component
+ * @param {number} a - a component
+ * @returns {number} Hue in degrees
+ */
+function hueDegrees(b, a) {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) * 180 / Math.PI;
+    return h < 0 ? h + 360 : h;
+}
+
+/**
+ * Squared CIEDE2000 color difference between two CIELAB colors
+ * @param {Array<number>} lab1 - First [L, a, b] color
+ * @param {Array<number>} lab2 - Second [L, a, b] color
+ * @returns {number} ΔE2000 squared
+ */
+export function deltaE2000Squared(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const rad = Math.PI / 180;
+    const pow25to7 = 6103515625; // 25^7
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + pow25to7)));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const h1p = hueDegrees(b1, a1p);
+    const h2p = hueDegrees(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * rad);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) {
+            hbarp += hbarp < 360 ? 360 : -360;
+        }
+        hbarp /= 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos((hbarp - 30) * rad)
+        + 0.24 * Math.cos(2 * hbarp * rad)
+        + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+        - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + pow25to7));
+    const Lm50 = (Lbarp - 50) * (Lbarp - 50);
+
+    const Sl = 1 + 0.015 * Lm50 / Math.sqrt(20 + Lm50);
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    const l = dLp / Sl;
+    const c = dCp / Sc;
+    const h = dHp / Sh;
+    return l * l + c * c + h * h + Rt * c * h;
+}
@@ -0,0 +1,218 @@
+/**
+ * Dithering for palette mapping
+ * Ordered (Bayer) and error diffusion dithering on top of nearest-color lookup
+ */
+
+import { createImageData } from './imageData.js';
+
+/**
+ * Available dithering methods
+ */
+export const DITHER_METHODS = [
+    { key: 'none', name: 'None' },
+    { key: 'bayer2', name: 'Bayer 2×2' },
+    { key: 'bayer4', name: 'Bayer 4×4' },
+    { key: 'bayer8', name: 'Bayer 8×8' },
+    { key: 'floyd-steinberg', name: 'Floyd–Steinberg' },
+    { key: 'atkinson', name: 'Atkinson' }
+];
+
+// Error diffusion kernels as [dx, dy, weight]
+const DIFFUSION_KERNELS = {
+    'floyd-steinberg': [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]
+    ],
+    'atkinson': [
+        [1, 0, 1 / 8], [2, 0, 1 / 8],
+        [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8],
+        [0, 2, 1 / 8]
+    ]
+};
+
+const BAYER_SIZES = { bayer2: 2, bayer4: 4, bayer8: 8 };
+
+/**
+ * Map an image to a palette with dithering
+ * Fully transparent pixels stay transparent and take no diffused error
+ * @param {ImageData} imageData - Source image data
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Function} findNearest - (color, palette) => nearest [r, g, b]
+ * @param {Object} [options] - Dithering options
+ * @param {string} [options.method='none'] - One of DITHER_METHODS keys
+ * @param {number} [options.strength=1] - 0 (no dithering) to 1 (full)
+ * @returns {ImageData} Dithered image data
+ */
+export function ditherImage(imageData, palette, findNearest, options = {}) {
+    const { method = 'none', strength = 1 } = options;
+
+    if (BAYER_SIZES[method]) {
+        return orderedDither(imageData, palette, findNearest, BAYER_SIZES[method], strength);
+    }
+    if (DIFFUSION_KERNELS[method]) {
+        return errorDiffusion(imageData, palette, findNearest, DIFFUSION_KERNELS[method], strength);
+    }
+
+    return orderedDither(imageData, palette, findNearest, 1, 0);
+}
+
+/**
+ * Build an n×n Bayer threshold matrix with values in [0, n*n)
+ * @param {number} n - Matrix size (power of two)
+ * @returns {Array<Array<number>>} Threshold matrix
+ */
+function bayerMatrix(n) {
+    if (n <= 1) return [[0]];
+
+    const half = bayerMatrix(n / 2);
+    const matrix = [];
+    for (let y = 0; y < n; y++) {
+        const row = [];
+        for (let x = 0; x < n; x++) {
+            const base = 4 * half[y % (n / 2)][x % (n / 2)];
+            const quadrant = [[0, 2], [3, 1]][Math.floor(y / (n / 2))][Math.floor(x / (n / 2))];
+            row.push(base + quadrant);
+        }
+        matrix.push(row);
+    }
+    return matrix;
+}
+
+/**
+ * Ordered dithering with a Bayer matrix
+ * The threshold spread is scaled to the typical gap between palette colors,
+ * so coarse palettes get a wider pattern than dense ones
+ * @param {ImageData} imageData - Source image data
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Function} findNearest - Nearest-color lookup
+ * @param {number} size - Bayer matrix size
+ * @param {number} strength - 0 to 1
+ * @returns {ImageData} Dithered image data
+ */
+function orderedDither(imageData, palette, findNearest, size, strength) {
+    const { data, width, height } = imageData;
+    const outputData = new Uint8ClampedArray(data.length);
+
+    const matrix = bayerMatrix(size);
+    const spread = strength * paletteSpread(palette);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] === 0) continue;
+
+            const offset = ((matrix[y % size][x % size] + 0.5) / (size * size) - 0.5) * spread;
+            const nearest = findNearest([
+                data[i] + offset,
+                data[i + 1] + offset,
+                data[i + 2] + offset
+            ], palette);
+
+            outputData[i] = nearest[0];
+            outputData[i + 1] = nearest[1];
+            outputData[i + 2] = nearest[2];
+            outputData[i + 3] = data[i + 3]; // Preserve alpha
+        }
+    }
+
+    return createImageData(outputData, width, height);
+}
+
+/**
+ * Typical per-channel gap between neighbouring palette colors
+ * Mean distance from each color to its nearest other color, spread evenly
+ * over the three channels
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @returns {number} Gap in channel units
+ */
+function paletteSpread(palette) {
+    let total = 0;
+    let count = 0;
+
+    for (let i = 0; i < palette.length; i++) {
+        let minDist = Infinity;
+        for (let j = 0; j < palette.length; j++) {
+            const dr = palette[i][0] - palette[j][0];
+            const dg = palette[i][1] - palette[j][1];
+            const db = palette[i][2] - palette[j][2];
+            const dist = dr * dr + dg * dg + db * db;
+            if (dist > 0 && dist < minDist) minDist = dist;
+        }
+        if (minDist < Infinity) {
+            total += Math.sqrt(minDist);
+            count++;
+        }
+    }
+
+    return count > 0 ? total / count / Math.sqrt(3) : 0;
+}
+
+/**
+ * Error diffusion dithering
+ * @param {ImageData} imageData - Source image data
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Function} findNearest - Nearest-color lookup
+ * @param {Array<Array<number>>} kernel - Diffusion kernel of [dx, dy, weight]
+ * @param {number} strength - Fraction of the error that is diffused
+ * @returns {ImageData} Dithered image data
+ */
+function errorDiffusion(imageData, palette, findNearest, kernel, strength) {
+    const { data, width, height } = imageData;
+    const outputData = new Uint8ClampedArray(data.length);
+
+    // Working copy of RGB that accumulates the diffused error
+    const work = new Float32Array(width * height * 3);
+    for (let p = 0; p < width * height; p++) {
+        work[p * 3] = data[p * 4];
+        work[p * 3 + 1] = data[p * 4 + 1];
+        work[p * 3 + 2] = data[p * 4 + 2];
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const i = p * 4;
+            if (data[i + 3] === 0) continue;
+
+            const color = [
+                clamp(work[p * 3]),
+                clamp(work[p * 3 + 1]),
+                clamp(work[p * 3 + 2])
+            ];
+            const nearest = findNearest(color, palette);
+
+            outputData[i] = nearest[0];
+            outputData[i + 1] = nearest[1];
+            outputData[i + 2] = nearest[2];
+            outputData[i + 3] = data[i + 3]; // Preserve alpha
+
+            const er = (color[0] - nearest[0]) * strength;
+            const eg = (color[1] - nearest[1]) * strength;
+            const eb = (color[2] - nearest[2]) * strength;
+
+            for (const [dx, dy, weight] of kernel) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+
+                const np = ny * width + nx;
+                if (data[np * 4 + 3] === 0) continue;
+
+                work[np * 3] += er * weight;
+                work[np * 3 + 1] += eg * weight;
+                work[np * 3 + 2] += eb * weight;
+            }
+        }
+    }
+
+    return createImageData(outputData, width, height);
+}
+
+/**
+ * Clamp a channel value to 0-255
+ * @param {number} value - Channel value
+ * @returns {number} Clamped value
+ */
+function clamp(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : value;
+}
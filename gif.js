@@ -0,0 +1,405 @@
+/**
+ * Pure JavaScript GIF decoding and encoding
+ * Reads (animated) GIFs into composited RGBA frames and writes animated GIFs
+ * with one global color table
+ */
+
+import { buildIndexedPalette } from './png.js';
+import { createImageData } from './imageData.js';
+
+const MAX_CODE_SIZE = 12;
+
+// Interlaced GIF row passes: [first row, row step]
+const INTERLACE_PASSES = [[0, 8], [4, 8], [2, 4], [1, 2]];
+
+/**
+ * Read a color table
+ * @param {Uint8Array} bytes - GIF file contents
+ * @param {number} pos - Table start
+ * @param {number} size - Number of colors
+ * @returns {Uint8Array} RGB triplets
+ */
+function readColorTable(bytes, pos, size) {
+    if (pos + size * 3 > bytes.length) throw new Error('GIF color table is truncated');
+    return bytes.subarray(pos, pos + size * 3);
+}
+
+/**
+ * Join the data sub-blocks that follow a GIF block header
+ * @param {Uint8Array} bytes - GIF file contents
+ * @param {number} pos - Position of the first sub-block size byte
+ * @returns {{data: Uint8Array, end: number}} Joined data and the position after the terminator
+ */
+function readSubBlocks(bytes, pos) {
+    const parts = [];
+    let total = 0;
+
+    for (;;) {
+        if (pos >= bytes.length) throw new Error('GIF data is truncated');
+        const size = bytes[pos++];
+        if (size === 0) break;
+        parts.push(bytes.subarray(pos, pos + size));
+        total += size;
+        pos += size;
+    }
+
+    const data = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        data.set(part, offset);
+        offset += part.length;
+    }
+    return { data, end: pos };
+}
+
+/**
+ * Decompress GIF LZW image data
+ * @param {Uint8Array} data - Joined sub-block data
+ * @param {number} minCodeSize - LZW minimum code size from the image block
+ * @param {number} pixelCount - Number of indices expected
+ * @returns {Uint8Array} Color indices (missing ones are left 0)
+ */
+function lzwDecode(data, minCodeSize, pixelCount) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Int16Array(1 << MAX_CODE_SIZE);
+    const suffix = new Uint8Array(1 << MAX_CODE_SIZE);
+    const firstByte = new Uint8Array(1 << MAX_CODE_SIZE);
+    const stack = new Uint8Array(1 << MAX_CODE_SIZE);
+    const output = new Uint8Array(pixelCount);
+
+    for (let code = 0; code < clearCode; code++) {
+        suffix[code] = code;
+        firstByte[code] = code;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let out = 0;
+
+    for (let pos = 0; out < pixelCount;) {
+        while (bitCount < codeSize) {
+            if (pos >= data.length) return output; // Truncated: keep what we have
+            bitBuffer |= data[pos++] << bitCount;
+            bitCount += 8;
+        }
+        const code = bitBuffer & ((1 << codeSize) - 1);
+        bitBuffer >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+            previous = -1;
+            continue;
+        }
+        if (code === endCode) break;
+
+        // A code not in the table yet is the previous string plus its own first byte
+        let current = code;
+        let depth = 0;
+        if (code >= nextCode) {
+            if (previous < 0 || code > nextCode) throw new Error('Invalid GIF image data');
+            stack[depth++] = firstByte[previous];
+            current = previous;
+        }
+        while (current >= clearCode) {
+            stack[depth++] = suffix[current];
+            current = prefix[current];
+        }
+        stack[depth++] = current;
+
+        while (depth > 0 && out < pixelCount) {
+            output[out++] = stack[--depth];
+        }
+
+        if (previous >= 0 && nextCode < 1 << MAX_CODE_SIZE) {
+            prefix[nextCode] = previous;
+            suffix[nextCode] = current;
+            firstByte[nextCode] = firstByte[previous];
+            nextCode++;
+            if (nextCode === 1 << codeSize && codeSize < MAX_CODE_SIZE) codeSize++;
+        }
+        previous = code;
+    }
+
+    return output;
+}
+
+/**
+ * Decode all frames of a GIF
+ * Frames are composited (disposal methods applied), so each one is a complete
+ * image. A still GIF gives a single frame.
+ * @param {Uint8Array} bytes - GIF file contents
+ * @returns {{width: number, height: number, frames: Array<{imageData: ImageData,
+ *            delay: number}>, loopCount: number}} Frames with delays in ms;
+ *          loopCount 0 means forever
+ * @throws {Error} If the file is not a valid GIF
+ */
+export function decodeGIF(bytes) {
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') throw new Error('Not a GIF file');
+    if (bytes.length < 13) throw new Error('GIF data is truncated');
+
+    const width = bytes[6] | (bytes[7] << 8);
+    const height = bytes[8] | (bytes[9] << 8);
+    const flags = bytes[10];
+    let pos = 13;
+
+    let globalTable = null;
+    if (flags & 0x80) {
+        const size = 2 << (flags & 7);
+        globalTable = readColorTable(bytes, pos, size);
+        pos += size * 3;
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let loopCount = 1;
+    let control = { delay: 0, transparent: -1, disposal: 0 };
+
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+
+        if (block === 0x3b) break; // Trailer
+
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            const { data, end } = readSubBlocks(bytes, pos);
+            pos = end;
+
+            if (label === 0xf9 && data.length >= 4) {
+                // Graphic control extension: applies to the next image
+                control = {
+                    disposal: (data[0] >> 2) & 7,
+                    transparent: data[0] & 1 ? data[3] : -1,
+                    delay: (data[1] | (data[2] << 8)) * 10
+                };
+            } else if (label === 0xff && data.length >= 14) {
+                const app = String.fromCharCode(...data.subarray(0, 11));
+                if ((app === 'NETSCAPE2.0' || app === 'ANIMEXTS1.0') && data[11] === 1) {
+                    loopCount = data[12] | (data[13] << 8);
+                }
+            }
+            continue;
+        }
+
+        if (block !== 0x2c) throw new Error('Invalid GIF block');
+
+        // Image descriptor
+        if (pos + 9 > bytes.length) throw new Error('GIF data is truncated');
+        const left = bytes[pos] | (bytes[pos + 1] << 8);
+        const top = bytes[pos + 2] | (bytes[pos + 3] << 8);
+        const frameWidth = bytes[pos + 4] | (bytes[pos + 5] << 8);
+        const frameHeight = bytes[pos + 6] | (bytes[pos + 7] << 8);
+        const imageFlags = bytes[pos + 8];
+        pos += 9;
+
+        let table = globalTable;
+        if (imageFlags & 0x80) {
+            const size = 2 << (imageFlags & 7);
+            table = readColorTable(bytes, pos, size);
+            pos += size * 3;
+        }
+        if (!table) throw new Error('GIF frame has no color table');
+
+        const minCodeSize = bytes[pos++];
+        if (minCodeSize < 1 || minCodeSize > 11) throw new Error('Invalid GIF image data');
+        const { data, end } = readSubBlocks(bytes, pos);
+        pos = end;
+        const indices = lzwDecode(data, minCodeSize, frameWidth * frameHeight);
+
+        // Interlaced rows are stored in four passes
+        const rowOrder = [];
+        if (imageFlags & 0x40) {
+            for (const [start, step] of INTERLACE_PASSES) {
+                for (let y = start; y < frameHeight; y += step) rowOrder.push(y);
+            }
+        } else {
+            for (let y = 0; y < frameHeight; y++) rowOrder.push(y);
+        }
+
+        const saved = control.disposal === 3 ? new Uint8ClampedArray(canvas) : null;
+
+        rowOrder.forEach((y, row) => {
+            const canvasY = top + y;
+            if (canvasY >= height) return;
+            for (let x = 0; x < frameWidth; x++) {
+                const canvasX = left + x;
+                if (canvasX >= width) break;
+                const index = indices[row * frameWidth + x];
+                if (index === control.transparent) continue;
+
+                const o = (canvasY * width + canvasX) * 4;
+                canvas[o] = table[index * 3];
+                canvas[o + 1] = table[index * 3 + 1];
+                canvas[o + 2] = table[index * 3 + 2];
+                canvas[o + 3] = 255;
+            }
+        });
+
+        frames.push({ imageData: createImageData(new Uint8ClampedArray(canvas), width, height), delay: control.delay });
+
+        // Dispose: 2 clears the frame's area, 3 restores what was there before
+        if (control.disposal === 2) {
+            for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+                canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + frameWidth)) * 4);
+            }
+        } else if (saved) {
+            canvas.set(saved);
+        }
+        control = { delay: 0, transparent: -1, disposal: 0 };
+    }
+
+    if (frames.length === 0) throw new Error('GIF has no frames');
+    return { width, height, frames, loopCount };
+}
+
+/**
+ * Compress color indices with GIF LZW
+ * @param {Uint8Array} indices - Color indices
+ * @param {number} minCodeSize - LZW minimum code size (2-8)
+ * @returns {Uint8Array} Compressed data (not yet split into sub-blocks)
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const table = new Map();
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const writeCode = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    writeCode(clearCode);
+    if (indices.length === 0) {
+        writeCode(endCode);
+        if (bitCount > 0) output.push(bitBuffer & 0xff);
+        return Uint8Array.from(output);
+    }
+
+    let current = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (current << 8) | index;
+        const existing = table.get(key);
+        if (existing !== undefined) {
+            current = existing;
+            continue;
+        }
+
+        writeCode(current);
+        if (nextCode < 1 << MAX_CODE_SIZE) {
+            // The decoder widens codes one step later than it adds them
+            if (nextCode === 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        } else {
+            writeCode(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        current = index;
+    }
+
+    writeCode(current);
+    writeCode(endCode);
+    if (bitCount > 0) output.push(bitBuffer & 0xff);
+    return Uint8Array.from(output);
+}
+
+/**
+ * Encode frames as an animated GIF
+ * All frames share one global color table, so together they can use at most
+ * 256 colors (fully transparent pixels take one entry; GIF has no partial
+ * transparency, so other alpha values are written as opaque).
+ * @param {Array<ImageData>} frames - Frames, all the same size
+ * @param {Object} [options] - Animation options
+ * @param {Array<number>} [options.delays] - Delay of each frame in ms (default 100;
+ *        GIF stores hundredths of a second, up to 655350 ms)
+ * @param {number} [options.loopCount=0] - Times to play, 0 = forever
+ * @param {Array<Array<number>>} [options.palette] - Ordered [r, g, b] colors
+ *        to start the color table with
+ * @returns {Uint8Array} GIF file contents
+ * @throws {Error} If the frames need more than 256 colors
+ */
+export function encodeGIF(frames, options = {}) {
+    const { delays = [], loopCount = 0, palette = [] } = options;
+    const { width, height } = frames[0];
+    const pixelCount = width * height;
+    let indexed;
+    try {
+        indexed = buildIndexedPalette(frames, palette);
+    } catch (err) {
+        throw new Error('Frames need more than 256 colors together and cannot be saved as a GIF');
+    }
+    const { entries, indices } = indexed;
+    const transparent = entries.findIndex(([, , , a]) => a === 0);
+
+    // Color table sizes are powers of two, from 2 to 256
+    let tableBits = 1;
+    while (1 << tableBits < entries.length) tableBits++;
+    const minCodeSize = Math.max(2, tableBits);
+
+    const bytes = [];
+    const writeWord = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+    const writeString = (text) => bytes.push(...Array.from(text, c => c.charCodeAt(0)));
+
+    writeString('GIF89a');
+    writeWord(width);
+    writeWord(height);
+    bytes.push(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);
+    for (let i = 0; i < 1 << tableBits; i++) {
+        const [r, g, b] = entries[i] || [0, 0, 0];
+        bytes.push(r, g, b);
+    }
+
+    if (frames.length > 1) {
+        bytes.push(0x21, 0xff, 11);
+        writeString('NETSCAPE2.0');
+        bytes.push(3, 1);
+        writeWord(loopCount);
+        bytes.push(0);
+    }
+
+    frames.forEach((frame, i) => {
+        // Graphic control: clear each frame before the next, since they are full frames
+        const delay = Math.min(0xffff, Math.max(0, Math.round((delays[i] ?? 100) / 10)));
+        bytes.push(0x21, 0xf9, 4, (2 << 2) | (transparent >= 0 ? 1 : 0));
+        writeWord(delay);
+        bytes.push(Math.max(0, transparent), 0);
+
+        // Image descriptor covering the whole canvas, no local color table
+        bytes.push(0x2c);
+        writeWord(0);
+        writeWord(0);
+        writeWord(width);
+        writeWord(height);
+        bytes.push(0);
+
+        const data = lzwEncode(indices.subarray(i * pixelCount, (i + 1) * pixelCount), minCodeSize);
+        bytes.push(minCodeSize);
+        for (let pos = 0; pos < data.length; pos += 255) {
+            const size = Math.min(255, data.length - pos);
+            bytes.push(size);
+            for (let k = 0; k < size; k++) bytes.push(data[pos + k]);
+        }
+        bytes.push(0);
+    });
+
+    bytes.push(0x3b);
+    return Uint8Array.from(bytes);
+}
@@ -0,0 +1,50 @@
+/**
+ * Image buffers without the DOM
+ * The pipeline only needs data/width/height, so images are real ImageData
+ * where the platform has it (browsers, workers) and plain objects elsewhere
+ */
+
+/**
+ * Create an image buffer
+ * @param {Uint8ClampedArray} data - RGBA pixels, width * height * 4 bytes
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {ImageData|{data: Uint8ClampedArray, width: number, height: number}}
+ *          ImageData when available, otherwise a plain object of the same shape
+ */
+export function createImageData(data, width, height) {
+    if (typeof ImageData === 'function') {
+        return new ImageData(data, width, height);
+    }
+    return { data, width, height };
+}
+
+/**
+ * Turn a plain {data, width, height} buffer into an image the pipeline accepts
+ * Any byte array works (Uint8Array, Node Buffer, plain array); it is copied
+ * only when it can't be viewed as an aligned Uint8ClampedArray.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} input - RGBA image
+ * @returns {ImageData|{data: Uint8ClampedArray, width: number, height: number}} Image
+ * @throws {Error} If the size or data length is wrong
+ */
+export function toImageData(input) {
+    const { data, width, height } = input || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        throw new Error('Image width and height must be positive integers');
+    }
+    if (!data || data.length !== width * height * 4) {
+        throw new Error(`Image data must hold ${width * height * 4} bytes (RGBA, ${width}×${height})`);
+    }
+
+    // Stages read pixels through Uint32Array views, which need 4-byte alignment
+    let pixels;
+    if (ArrayBuffer.isView(data) && data.BYTES_PER_ELEMENT === 1 && data.byteOffset % 4 === 0) {
+        pixels = data instanceof Uint8ClampedArray
+            ? data
+            : new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+    } else {
+        pixels = Uint8ClampedArray.from(data);
+    }
+
+    return createImageData(pixels, width, height);
+}
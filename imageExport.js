@@ -0,0 +1,125 @@
+/**
+ * Image export helpers
+ * Nearest-neighbor upscaling, BMP encoding and output file naming
+ */
+
+import { createImageData } from './imageData.js';
+
+/**
+ * Available export formats
+ */
+export const EXPORT_FORMATS = [
+    { key: 'png', name: 'PNG', extension: 'png', mimeType: 'image/png' },
+    { key: 'png8', name: 'Indexed PNG (palette)', extension: 'png', mimeType: 'image/png' },
+    { key: 'webp', name: 'WebP (lossless)', extension: 'webp', mimeType: 'image/webp' },
+    { key: 'bmp', name: 'BMP', extension: 'bmp', mimeType: 'image/bmp' },
+    { key: 'gif', name: 'GIF (animated)', extension: 'gif', mimeType: 'image/gif' },
+    { key: 'apng', name: 'Animated PNG', extension: 'png', mimeType: 'image/apng' }
+];
+
+/**
+ * Resize an image with nearest-neighbor sampling
+ * @param {ImageData} imageData - Source image data
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {ImageData} Resized image data
+ */
+export function scaleNearest(imageData, width, height) {
+    const { data: srcData, width: srcWidth, height: srcHeight } = imageData;
+    if (width === srcWidth && height === srcHeight) return imageData;
+
+    const src32 = new Uint32Array(srcData.buffer, srcData.byteOffset, srcWidth * srcHeight);
+    const outputData = new Uint8ClampedArray(width * height * 4);
+    const out32 = new Uint32Array(outputData.buffer);
+
+    // Source column for every output column, computed once
+    const srcX = new Uint32Array(width);
+    for (let x = 0; x < width; x++) {
+        srcX[x] = Math.min(srcWidth - 1, Math.floor(x * srcWidth / width));
+    }
+
+    for (let y = 0; y < height; y++) {
+        const srcRow = Math.min(srcHeight - 1, Math.floor(y * srcHeight / height)) * srcWidth;
+        const outRow = y * width;
+        for (let x = 0; x < width; x++) {
+            out32[outRow + x] = src32[srcRow + srcX[x]];
+        }
+    }
+
+    return createImageData(outputData, width, height);
+}
+
+/**
+ * Upscale an image by an integer factor (nearest neighbor)
+ * @param {ImageData} imageData - Source image data
+ * @param {number} scale - Integer scale factor
+ * @returns {ImageData} Upscaled image data
+ */
+export function upscale(imageData, scale) {
+    return scaleNearest(imageData, imageData.width * scale, imageData.height * scale);
+}
+
+/**
+ * Encode an image as a 32-bit BMP with alpha
+ * Uses a BITMAPV4HEADER with BI_BITFIELDS so the alpha channel is kept
+ * @param {ImageData} imageData - Source image data
+ * @returns {Uint8Array} BMP file contents
+ */
+export function encodeBMP(imageData) {
+    const { data, width, height } = imageData;
+    const headerSize = 14 + 108;
+    const pixelBytes = width * height * 4;
+    const bytes = new Uint8Array(headerSize + pixelBytes);
+    const view = new DataView(bytes.buffer);
+
+    // BITMAPFILEHEADER
+    bytes[0] = 0x42; // 'B'
+    bytes[1] = 0x4d; // 'M'
+    view.setUint32(2, bytes.length, true);
+    view.setUint32(10, headerSize, true);
+
+    // BITMAPV4HEADER
+    view.setUint32(14, 108, true);
+    view.setInt32(18, width, true);
+    view.setInt32(22, height, true); // Positive height: rows stored bottom-up
+    view.setUint16(26, 1, true); // Planes
+    view.setUint16(28, 32, true); // Bits per pixel
+    view.setUint32(30, 3, true); // BI_BITFIELDS
+    view.setUint32(34, pixelBytes, true);
+    view.setInt32(38, 2835, true); // 72 DPI
+    view.setInt32(42, 2835, true);
+    view.setUint32(54, 0x00ff0000, true); // Red mask
+    view.setUint32(58, 0x0000ff00, true); // Green mask
+    view.setUint32(62, 0x000000ff, true); // Blue mask
+    view.setUint32(66, 0xff000000, true); // Alpha mask
+    view.setUint32(70, 0x73524742, true); // 'sRGB' color space
+
+    // Pixels as BGRA, bottom row first
+    let out = headerSize;
+    for (let y = height - 1; y >= 0; y--) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            bytes[out++] = data[i + 2];
+            bytes[out++] = data[i + 1];
+            bytes[out++] = data[i];
+            bytes[out++] = data[i + 3];
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * Build an output file name from the input name, scale and palette
+ * @param {string} inputName - Original file name (may be empty)
+ * @param {string} scaleLabel - Scale part, e.g. '4x' or 'original'
+ * @param {string} paletteLabel - Palette part, e.g. 'pico8' or 'auto'
+ * @param {string} extension - File extension without dot
+ * @returns {string} File name
+ */
+export function exportFileName(inputName, scaleLabel, paletteLabel, extension) {
+    const base = (inputName || 'pixelfixel').replace(/\.[^.]+$/, '') || 'pixelfixel';
+    const clean = (part) => part.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+    const parts = [base, scaleLabel, paletteLabel].map(clean).filter(Boolean);
+    return `${parts.join('-')}.${extension}`;
+}
@@ -3,162 +3,189 @@
  * Ported from Python AI PixelFix script
  */
 
+import { ditherImage } from './dither.js';
+import { getColorMetric } from './colorMetrics.js';
+import { buildHistogram, medianCut, generatePalette } from './quantizers.js';
+import { createImageData } from './imageData.js';
+
 /**
- * Quantize image to a specific number of colors using median cut algorithm
+ * Quantize image to a specific number of colors
+ * Fully transparent pixels are left out of the palette and stay transparent.
+ * Images that already have no more than numColors colors keep them exactly.
  * @param {ImageData} imageData - Source image data
  * @param {number} numColors - Target number of colors
- * @returns {ImageData} Quantized image data
+ * @param {Object} [options] - Mapping options, see applyPalette (the metric
+ *        is also used to build the palette)
+ * @param {string} [options.quantizer='median-cut'] - One of QUANTIZERS keys
+ * @param {boolean} [options.refine=false] - Refine the palette with k-means
+ * @returns {{imageData: ImageData, palette: Array<Array<number>>}}
+ *          Quantized image data and the palette it uses (sorted by luminance)
  */
-export function quantizeImage(imageData, numColors) {
+export function quantizeImage(imageData, numColors, options = {}) {
     const { data, width, height } = imageData;
-
-    // Extract all unique colors
-    const pixels = [];
-    for (let i = 0; i < data.length; i += 4) {
-        pixels.push([data[i], data[i + 1], data[i + 2]]);
+    const metric = getColorMetric(options.metric);
+    const histogram = buildHistogram(imageData, metric);
+
+    if (histogram.size === 0) {
+        return {
+            imageData: createImageData(new Uint8ClampedArray(data), width, height),
+            palette: []
+        };
     }
 
-    // Build palette using median cut
-    const palette = medianCut(pixels, numColors);
+    // Build palette, darkest color first for a stable order
+    const colors = histogram.exactColors && histogram.exactColors.length <= numColors
+        ? histogram.exactColors
+        : generatePalette(histogram, numColors, { ...options, metric });
+    const palette = sortByLuminance(colors);
 
     // Map each pixel to nearest palette color
-    const outputData = new Uint8ClampedArray(data.length);
-
-    for (let i = 0; i < data.length; i += 4) {
-        const color = [data[i], data[i + 1], data[i + 2]];
-        const nearest = findNearestColor(color, palette);
-
-        outputData[i] = nearest[0];
-        outputData[i + 1] = nearest[1];
-        outputData[i + 2] = nearest[2];
-        outputData[i + 3] = data[i + 3]; // Preserve alpha
-    }
-
-    return new ImageData(outputData, width, height);
+    return {
+        imageData: applyPalette(imageData, palette, options),
+        palette
+    };
 }
 
 /**
- * Median cut algorithm for color quantization
- * @param {Array<Array<number>>} pixels - Array of [r, g, b] pixels
- * @param {number} numColors - Target number of colors
- * @returns {Array<Array<number>>} Palette of [r, g, b] colors
+ * Build one palette from the combined colors of several images
+ * Mapping every image to it with applyPalette keeps sprites and animation
+ * frames consistent, where quantizing each one would give each its own palette.
+ * @param {Array<ImageData>} images - Source images (transparent pixels are ignored)
+ * @param {number} numColors - Number of colors, capped by options.maxColors
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxColors=256] - Maximum number of colors in total
+ * @param {string} [options.metric='rgb'] - Color metric (see COLOR_METRICS)
+ * @param {string} [options.quantizer='median-cut'] - One of QUANTIZERS keys
+ * @param {boolean} [options.refine=false] - Refine the palette with k-means
+ * @returns {Array<Array<number>>} Shared palette, sorted by luminance
  */
-function medianCut(pixels, numColors) {
-    // Start with all pixels in one bucket
-    const buckets = [pixels];
-
-    // Split buckets until we have enough colors
-    while (buckets.length < numColors) {
-        // Find bucket with largest range
-        let largestBucket = null;
-        let largestRange = -1;
-        let largestChannel = 0;
-
-        for (const bucket of buckets) {
-            const ranges = getColorRanges(bucket);
-            const maxRange = Math.max(...ranges);
-            const channel = ranges.indexOf(maxRange);
-
-            if (maxRange > largestRange) {
-                largestRange = maxRange;
-                largestBucket = bucket;
-                largestChannel = channel;
-            }
-        }
-
-        if (!largestBucket || largestBucket.length < 2) break;
-
-        // Split the bucket at median along the largest channel
-        const sorted = [...largestBucket].sort((a, b) => a[largestChannel] - b[largestChannel]);
-        const mid = Math.floor(sorted.length / 2);
+export function createSharedPalette(images, numColors, options = {}) {
+    const { maxColors = 256 } = options;
+    const metric = getColorMetric(options.metric);
+    const histogram = buildHistogram(images, metric);
+    const count = Math.max(1, Math.min(numColors, maxColors));
+
+    if (histogram.size === 0) return [];
+
+    const colors = histogram.exactColors && histogram.exactColors.length <= count
+        ? histogram.exactColors
+        : generatePalette(histogram, count, { ...options, metric });
+    return sortByLuminance(colors);
+}
 
-        const bucket1 = sorted.slice(0, mid);
-        const bucket2 = sorted.slice(mid);
+// Slots in the nearest-color cache (2^bits, direct-mapped)
+const NEAREST_CACHE_BITS = 16;
 
-        // Replace the bucket with two new buckets
-        const idx = buckets.indexOf(largestBucket);
-        buckets.splice(idx, 1, bucket1, bucket2);
-    }
+/**
+ * Create a cached nearest-color lookup for a palette
+ * Results are cached per 24-bit color in a direct-mapped table; fractional
+ * colors (from dithering) are rounded for the cache key
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Object} metric - Resolved color metric
+ * @returns {Function} (r, g, b) => palette index
+ */
+function createNearestLookup(palette, metric) {
+    const cacheKeys = new Int32Array(1 << NEAREST_CACHE_BITS).fill(-1);
+    const cacheIndices = new Uint16Array(1 << NEAREST_CACHE_BITS);
+
+    // Palette in metric space, converted once and stored flat
+    const points = new Float32Array(palette.length * 3);
+    palette.forEach((color, i) => metric.toPoint(color[0], color[1], color[2], points, i * 3));
+
+    // Scratch points, so a cache miss allocates nothing
+    const point = new Float64Array(3);
+    const other = [0, 0, 0];
+
+    /**
+     * Find the index of the palette color nearest to a color
+     * @param {number} r - Red
+     * @param {number} g - Green
+     * @param {number} b - Blue
+     * @returns {number} Palette index
+     */
+    const findNearestIndex = (r, g, b) => {
+        metric.toPoint(r, g, b, point, 0);
+        const p0 = point[0];
+        const p1 = point[1];
+        const p2 = point[2];
+        let minDist = Infinity;
+        let nearest = 0;
+
+        for (let i = 0; i < points.length; i += 3) {
+            let dist;
+            if (metric.euclidean) {
+                const d0 = p0 - points[i];
+                const d1 = p1 - points[i + 1];
+                const d2 = p2 - points[i + 2];
+                dist = d0 * d0 + d1 * d1 + d2 * d2;
+            } else {
+                other[0] = points[i];
+                other[1] = points[i + 1];
+                other[2] = points[i + 2];
+                dist = metric.distance(point, other);
+            }
 
-    // Calculate average color for each bucket
-    return buckets.map(bucket => {
-        let sumR = 0, sumG = 0, sumB = 0;
-        for (const [r, g, b] of bucket) {
-            sumR += r;
-            sumG += g;
-            sumB += b;
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = i / 3;
+            }
         }
-        const n = bucket.length;
-        return [
-            Math.round(sumR / n),
-            Math.round(sumG / n),
-            Math.round(sumB / n)
-        ];
-    });
-}
 
-/**
- * Get the range of values for each color channel
- * @param {Array<Array<number>>} pixels - Array of [r, g, b] pixels
- * @returns {Array<number>} Ranges for [r, g, b]
- */
-function getColorRanges(pixels) {
-    if (pixels.length === 0) return [0, 0, 0];
-
-    let minR = 255, maxR = 0;
-    let minG = 255, maxG = 0;
-    let minB = 255, maxB = 0;
-
-    for (const [r, g, b] of pixels) {
-        minR = Math.min(minR, r);
-        maxR = Math.max(maxR, r);
-        minG = Math.min(minG, g);
-        maxG = Math.max(maxG, g);
-        minB = Math.min(minB, b);
-        maxB = Math.max(maxB, b);
-    }
+        return nearest;
+    };
 
-    return [maxR - minR, maxG - minG, maxB - minB];
-}
+    return (r, g, b) => {
+        r = Math.round(r);
+        g = Math.round(g);
+        b = Math.round(b);
 
-/**
- * Find nearest color in palette to a given color
- * @param {Array<number>} color - [r, g, b] color
- * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
- * @returns {Array<number>} Nearest color [r, g, b]
- */
-function findNearestColor(color, palette) {
-    let minDist = Infinity;
-    let nearest = palette[0];
-
-    for (const paletteColor of palette) {
-        const dr = color[0] - paletteColor[0];
-        const dg = color[1] - paletteColor[1];
-        const db = color[2] - paletteColor[2];
-        const dist = dr * dr + dg * dg + db * db;
-
-        if (dist < minDist) {
-            minDist = dist;
-            nearest = paletteColor;
+        // Out-of-range colors (ordered dithering) skip the cache
+        if ((r | g | b) < 0 || r > 255 || g > 255 || b > 255) {
+            return findNearestIndex(r, g, b);
         }
-    }
 
-    return nearest;
+        const key = (r << 16) | (g << 8) | b;
+        const slot = Math.imul(key, 0x9e3779b1) >>> (32 - NEAREST_CACHE_BITS);
+        if (cacheKeys[slot] !== key) {
+            cacheKeys[slot] = key;
+            cacheIndices[slot] = findNearestIndex(r, g, b);
+        }
+        return cacheIndices[slot];
+    };
 }
 
 /**
  * Apply a specific palette to an image
+ * Fully transparent pixels stay transparent
  * @param {ImageData} imageData - Source image data
  * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @param {Object} [options] - Mapping options
+ * @param {string} [options.dither='none'] - Dithering method (see DITHER_METHODS)
+ * @param {number} [options.ditherStrength=1] - Dithering strength, 0 to 1
+ * @param {string} [options.metric='rgb'] - Color metric (see COLOR_METRICS)
  * @returns {ImageData} Image with palette applied
  */
-export function applyPalette(imageData, palette) {
+export function applyPalette(imageData, palette, options = {}) {
+    const { dither = 'none', ditherStrength = 1 } = options;
+    const metric = getColorMetric(options.metric);
+
+    const nearestIndex = createNearestLookup(palette, metric);
+
+    if (dither !== 'none') {
+        const findNearest = (color) => palette[nearestIndex(color[0], color[1], color[2])];
+        return ditherImage(imageData, palette, findNearest, {
+            method: dither,
+            strength: ditherStrength
+        });
+    }
+
     const { data, width, height } = imageData;
     const outputData = new Uint8ClampedArray(data.length);
 
     for (let i = 0; i < data.length; i += 4) {
-        const color = [data[i], data[i + 1], data[i + 2]];
-        const nearest = findNearestColor(color, palette);
+        if (data[i + 3] === 0) continue;
+
+        const nearest = palette[nearestIndex(data[i], data[i + 1], data[i + 2])];
 
         outputData[i] = nearest[0];
         outputData[i + 1] = nearest[1];
@@ -166,49 +193,37 @@ export function applyPalette(imageData, palette) {
         outputData[i + 3] = data[i + 3]; // Preserve alpha
     }
 
-    return new ImageData(outputData, width, height);
+    return createImageData(outputData, width, height);
 }
 
 /**
  * Automatically determine optimal number of colors using elbow method
- * @param {ImageData} imageData - Source image data
+ * The distortion for every color count comes from a single median cut run
+ * @param {ImageData|Array<ImageData>} imageData - Source image data, or several
+ *        images to pick one color count for all of them
  * @param {number} maxK - Maximum number of colors to test
+ * @param {Object} [options] - Options
+ * @param {string} [options.metric='rgb'] - Color metric (see COLOR_METRICS)
+ * @param {Function} [options.onProgress] - Called with the fraction of k values tried
  * @returns {number} Optimal number of colors
  */
-export function determineBestK(imageData, maxK = 32) {
-    const { data } = imageData;
-
-    // Sample pixels for performance (use every 4th pixel)
-    const pixels = [];
-    for (let i = 0; i < data.length; i += 16) {
-        pixels.push([data[i], data[i + 1], data[i + 2]]);
-    }
+export function determineBestK(imageData, maxK = 32, options = {}) {
+    const metric = getColorMetric(options.metric);
+    const histogram = buildHistogram(imageData, metric);
 
-    if (pixels.length === 0) return 2;
+    if (histogram.size === 0) return 2;
 
     // Calculate distortions for different k values
-    const distortions = [];
-
-    for (let k = 1; k <= Math.min(maxK, 32); k++) {
-        const palette = medianCut(pixels, k);
-
-        // Calculate total distortion
-        let totalDist = 0;
-        for (const pixel of pixels) {
-            const nearest = findNearestColor(pixel, palette);
-            const dr = pixel[0] - nearest[0];
-            const dg = pixel[1] - nearest[1];
-            const db = pixel[2] - nearest[2];
-            totalDist += dr * dr + dg * dg + db * db;
-        }
-
-        distortions.push(totalDist);
-    }
+    const lastK = Math.min(maxK, 32);
+    const onSplit = options.onProgress && ((k) => options.onProgress(k / lastK));
+    const { distortions } = medianCut(histogram, lastK, metric, onSplit);
 
     // Calculate rate of change
     const rateOfChange = [];
     for (let i = 1; i < distortions.length; i++) {
-        const rate = (distortions[i - 1] - distortions[i]) / distortions[i - 1];
+        const rate = distortions[i - 1] > 0
+            ? (distortions[i - 1] - distortions[i]) / distortions[i - 1]
+            : 0;
         rateOfChange.push(rate);
     }
 
@@ -226,20 +241,33 @@ export function determineBestK(imageData, maxK = 32) {
         }
     }
 
-    // Return k at elbow point (add 2 because we start at k=1 and need offset)
-    return Math.max(2, Math.min(elbowIndex + 2, maxK));
+    // rateOfChange[i] is the gain from k = i + 1 to i + 2 colors, so the
+    // elbow after rateOfChange[elbowIndex - 1] is at k = elbowIndex + 1
+    return Math.max(2, Math.min(elbowIndex + 1, maxK));
+}
+
+/**
+ * Sort a palette from darkest to lightest (Rec. 601 luma)
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @returns {Array<Array<number>>} New sorted palette
+ */
+export function sortByLuminance(palette) {
+    const luma = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+    return [...palette].sort((a, b) => luma(a) - luma(b));
 }
 
 /**
  * Get all unique colors from an image
  * @param {ImageData} imageData - Source image data
- * @returns {Array<Array<number>>} Array of unique [r, g, b] colors
+ * @returns {Array<Array<number>>} Array of unique visible [r, g, b] colors
  */
 export function getUniqueColors(imageData) {
     const { data } = imageData;
     const colorSet = new Set();
 
     for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+
         const r = data[i];
         const g = data[i + 1];
         const b = data[i + 2];
@@ -0,0 +1,438 @@
+/**
+ * Palette file import and export
+ * Parses GIMP (.gpl), Lospec (.hex / .json), JASC and RIFF (.pal) and
+ * Adobe (.act) palettes, keeps imported palettes in localStorage, and writes
+ * palettes back out in the same formats
+ */
+
+import { registerPalette, unregisterPalette } from './presets.js';
+import { createImageData } from './imageData.js';
+
+const STORAGE_KEY = 'pixelfixel.importedPalettes';
+const MAX_COLORS = 256;
+
+/**
+ * Parse a palette file
+ * @param {string} fileName - File name (the extension picks the format)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{name: string, colors: Array<Array<number>>}} Parsed palette
+ * @throws {Error} If the format is unknown or the file is invalid
+ */
+export function parsePaletteFile(fileName, buffer) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    const bytes = new Uint8Array(buffer);
+    const text = () => new TextDecoder().decode(bytes);
+
+    let palette;
+    switch (extension) {
+        case 'gpl':
+            palette = parseGPL(text());
+            break;
+        case 'hex':
+        case 'txt':
+            palette = { name: '', colors: parseHEX(text()) };
+            break;
+        case 'json':
+            palette = parseLospecJSON(text());
+            break;
+        case 'pal': {
+            const colors = isRiffPal(bytes) ? parseRiffPAL(bytes) : parseJascPAL(text());
+            palette = { name: '', colors };
+            break;
+        }
+        case 'act':
+            palette = { name: '', colors: parseACT(bytes) };
+            break;
+        default:
+            throw new Error(`Unsupported palette format: .${extension}`);
+    }
+
+    validateColors(palette.colors);
+    return { name: palette.name || baseName, colors: palette.colors };
+}
+
+/**
+ * Parse a GIMP palette (.gpl)
+ * @param {string} text - File contents
+ * @returns {{name: string, colors: Array<Array<number>>}} Parsed palette
+ */
+export function parseGPL(text) {
+    const lines = text.split(/\r?\n/);
+    if (!lines[0].trim().startsWith('GIMP Palette')) {
+        throw new Error('Not a GIMP palette (missing "GIMP Palette" header)');
+    }
+
+    let name = '';
+    const colors = [];
+    for (const raw of lines.slice(1)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const header = line.match(/^(Name|Columns):\s*(.*)$/i);
+        if (header) {
+            if (header[1].toLowerCase() === 'name') name = header[2].trim();
+            continue;
+        }
+
+        const parts = line.split(/\s+/);
+        colors.push(parts.slice(0, 3).map(Number));
+    }
+
+    return { name, colors };
+}
+
+/**
+ * Parse a hex palette: one RRGGBB color per line (Lospec .hex)
+ * @param {string} text - File contents
+ * @returns {Array<Array<number>>} Colors
+ */
+export function parseHEX(text) {
+    const colors = [];
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith(';') || line.startsWith('//')) continue;
+        colors.push(hexToColor(line));
+    }
+    return colors;
+}
+
+/**
+ * Parse a Lospec JSON palette ({name, colors: ["rrggbb", ...]})
+ * @param {string} text - File contents
+ * @returns {{name: string, colors: Array<Array<number>>}} Parsed palette
+ */
+export function parseLospecJSON(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid JSON palette');
+    }
+    if (!Array.isArray(json.colors)) {
+        throw new Error('JSON palette has no "colors" list');
+    }
+    return { name: json.name || '', colors: json.colors.map(hexToColor) };
+}
+
+/**
+ * Parse a JASC palette (.pal text format from Paint Shop Pro)
+ * @param {string} text - File contents
+ * @returns {Array<Array<number>>} Colors
+ */
+export function parseJascPAL(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines[0] !== 'JASC-PAL') {
+        throw new Error('Not a JASC palette (missing "JASC-PAL" header)');
+    }
+
+    const count = parseInt(lines[2]);
+    const colors = lines.slice(3, 3 + count).map(line => line.split(/\s+/).slice(0, 3).map(Number));
+    if (colors.length !== count) {
+        throw new Error(`JASC palette declares ${count} colors but has ${colors.length}`);
+    }
+    return colors;
+}
+
+/**
+ * Check for a Microsoft RIFF palette header
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True for RIFF PAL data
+ */
+function isRiffPal(bytes) {
+    const tag = String.fromCharCode(...bytes.subarray(0, 4));
+    const type = String.fromCharCode(...bytes.subarray(8, 12));
+    return tag === 'RIFF' && type === 'PAL ';
+}
+
+/**
+ * Parse a Microsoft RIFF palette (.pal binary format)
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Array<Array<number>>} Colors
+ */
+export function parseRiffPAL(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // Walk the chunks after "RIFF" size "PAL " looking for "data"
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        if (id === 'data') {
+            // LOGPALETTE: version (2), count (2), then count × [r, g, b, flags]
+            const count = view.getUint16(offset + 10, true);
+            const colors = [];
+            for (let i = 0; i < count; i++) {
+                const at = offset + 12 + i * 4;
+                if (at + 3 > bytes.length) throw new Error('RIFF palette is truncated');
+                colors.push([bytes[at], bytes[at + 1], bytes[at + 2]]);
+            }
+            return colors;
+        }
+        offset += 8 + size + (size % 2);
+    }
+
+    throw new Error('RIFF palette has no data chunk');
+}
+
+/**
+ * Parse an Adobe Color Table (.act)
+ * 256 RGB triplets, optionally followed by a color count and a transparent index
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Array<Array<number>>} Colors
+ */
+export function parseACT(bytes) {
+    if (bytes.length !== 768 && bytes.length !== 772) {
+        throw new Error(`Invalid ACT file size (${bytes.length} bytes, expected 768 or 772)`);
+    }
+
+    let count = 256;
+    if (bytes.length === 772) {
+        count = (bytes[768] << 8) | bytes[769];
+        if (count === 0 || count > 256) count = 256;
+    }
+
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        colors.push([bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]]);
+    }
+    return colors;
+}
+
+/**
+ * Convert an RRGGBB (or #RRGGBB) string to [r, g, b]
+ * @param {string} hex - Hex color
+ * @returns {Array<number>} [r, g, b] color
+ */
+function hexToColor(hex) {
+    const match = String(hex).trim().match(/^#?([0-9a-f]{6})([0-9a-f]{2})?$/i);
+    if (!match) {
+        throw new Error(`Invalid hex color: "${hex}"`);
+    }
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Check that a color list is a usable palette
+ * @param {Array<Array<number>>} colors - Colors to check
+ * @throws {Error} If the palette is empty, too large or has invalid colors
+ */
+export function validateColors(colors) {
+    if (!Array.isArray(colors) || colors.length === 0) {
+        throw new Error('Palette has no colors');
+    }
+    if (colors.length > MAX_COLORS) {
+        throw new Error(`Palette has ${colors.length} colors (maximum is ${MAX_COLORS})`);
+    }
+
+    colors.forEach((color, i) => {
+        const valid = Array.isArray(color) && color.length === 3 &&
+            color.every(v => Number.isInteger(v) && v >= 0 && v <= 255);
+        if (!valid) {
+            throw new Error(`Invalid color at entry ${i + 1}`);
+        }
+    });
+}
+
+/**
+ * Palette export formats
+ */
+export const PALETTE_EXPORT_FORMATS = [
+    { key: 'gpl', name: 'GIMP (.gpl)' },
+    { key: 'hex', name: 'Lospec (.hex)' },
+    { key: 'pal', name: 'JASC (.pal)' },
+    { key: 'act', name: 'Adobe (.act)' },
+    { key: 'png', name: 'PNG strip (1×N)' }
+];
+
+/**
+ * Serialize a palette to one of the export formats
+ * The PNG strip is returned as pixels, since encoding it is up to the caller
+ * @param {Array<Array<number>>} colors - Palette colors
+ * @param {string} format - One of PALETTE_EXPORT_FORMATS keys
+ * @param {string} [name='PixelFixel'] - Palette name (GIMP format only)
+ * @returns {{data: string|Uint8Array|ImageData, mimeType: string, extension: string}}
+ */
+export function exportPalette(colors, format, name = 'PixelFixel') {
+    switch (format) {
+        case 'gpl':
+            return { data: formatGPL(colors, name), mimeType: 'text/plain', extension: 'gpl' };
+        case 'hex':
+            return { data: formatHEX(colors), mimeType: 'text/plain', extension: 'hex' };
+        case 'pal':
+            return { data: formatJascPAL(colors), mimeType: 'text/plain', extension: 'pal' };
+        case 'act':
+            return { data: formatACT(colors), mimeType: 'application/octet-stream', extension: 'act' };
+        case 'png':
+            return { data: paletteStrip(colors), mimeType: 'image/png', extension: 'png' };
+        default:
+            throw new Error(`Unsupported palette format: ${format}`);
+    }
+}
+
+/**
+ * Write a GIMP palette
+ * @param {Array<Array<number>>} colors - Palette colors
+ * @param {string} name - Palette name
+ * @returns {string} File contents
+ */
+export function formatGPL(colors, name) {
+    const lines = ['GIMP Palette', `Name: ${name}`, `Columns: ${Math.min(colors.length, 16)}`, '#'];
+    for (const [r, g, b] of colors) {
+        const rgb = [r, g, b].map(v => String(v).padStart(3, ' ')).join(' ');
+        lines.push(`${rgb}\t${colorToHex([r, g, b])}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a hex palette (one RRGGBB per line)
+ * @param {Array<Array<number>>} colors - Palette colors
+ * @returns {string} File contents
+ */
+export function formatHEX(colors) {
+    return colors.map(colorToHex).join('\n') + '\n';
+}
+
+/**
+ * Write a JASC palette
+ * @param {Array<Array<number>>} colors - Palette colors
+ * @returns {string} File contents
+ */
+export function formatJascPAL(colors) {
+    const lines = ['JASC-PAL', '0100', String(colors.length)];
+    for (const [r, g, b] of colors) {
+        lines.push(`${r} ${g} ${b}`);
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Write an Adobe Color Table (772-byte variant with color count)
+ * @param {Array<Array<number>>} colors - Palette colors (at most 256)
+ * @returns {Uint8Array} File contents
+ */
+export function formatACT(colors) {
+    const bytes = new Uint8Array(772);
+    colors.slice(0, 256).forEach(([r, g, b], i) => {
+        bytes[i * 3] = r;
+        bytes[i * 3 + 1] = g;
+        bytes[i * 3 + 2] = b;
+    });
+
+    const count = Math.min(colors.length, 256);
+    bytes[768] = count >> 8;
+    bytes[769] = count & 255;
+    bytes[770] = 0xff; // No transparent index
+    bytes[771] = 0xff;
+    return bytes;
+}
+
+/**
+ * Build a 1×N image with one pixel per palette color
+ * @param {Array<Array<number>>} colors - Palette colors
+ * @returns {ImageData} Palette strip
+ */
+export function paletteStrip(colors) {
+    const data = new Uint8ClampedArray(colors.length * 4);
+    colors.forEach(([r, g, b], i) => {
+        data.set([r, g, b, 255], i * 4);
+    });
+    return createImageData(data, colors.length, 1);
+}
+
+/**
+ * Convert [r, g, b] to an rrggbb string
+ * @param {Array<number>} color - [r, g, b] color
+ * @returns {string} Hex color without '#'
+ */
+function colorToHex(color) {
+    return color.map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Import a palette file and register it next to the built-in palettes
+ * @param {File} file - Palette file
+ * @returns {Promise<string>} Key of the registered palette
+ */
+export async function importPaletteFile(file) {
+    const palette = parsePaletteFile(file.name, await file.arrayBuffer());
+
+    const stored = readStoredPalettes();
+    const key = uniqueKey(palette.name, stored);
+    stored[key] = palette;
+    writeStoredPalettes(stored);
+
+    registerPalette(key, { ...palette, imported: true });
+    return key;
+}
+
+/**
+ * Register all palettes imported in earlier sessions
+ * @returns {number} Number of restored palettes
+ */
+export function restoreImportedPalettes() {
+    const stored = readStoredPalettes();
+    let restored = 0;
+
+    for (const [key, palette] of Object.entries(stored)) {
+        try {
+            validateColors(palette.colors);
+            registerPalette(key, { ...palette, imported: true });
+            restored++;
+        } catch (e) {
+            console.warn(`Skipping stored palette "${key}": ${e.message}`);
+        }
+    }
+
+    return restored;
+}
+
+/**
+ * Remove an imported palette
+ * @param {string} key - Palette key
+ */
+export function removeImportedPalette(key) {
+    const stored = readStoredPalettes();
+    delete stored[key];
+    writeStoredPalettes(stored);
+    unregisterPalette(key);
+}
+
+/**
+ * Build a palette key from a name that doesn't collide with stored ones
+ * @param {string} name - Palette name
+ * @param {Object} stored - Stored palettes by key
+ * @returns {string} Key
+ */
+function uniqueKey(name, stored) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palette';
+    let key = `imported:${slug}`;
+    for (let n = 2; stored[key]; n++) {
+        key = `imported:${slug}-${n}`;
+    }
+    return key;
+}
+
+/**
+ * Read imported palettes from localStorage
+ * @returns {Object} Palettes by key
+ */
+function readStoredPalettes() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Write imported palettes to localStorage
+ * @param {Object} palettes - Palettes by key
+ */
+function writeStoredPalettes(palettes) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(palettes));
+}
@@ -0,0 +1,302 @@
+/**
+ * Processing pipeline stages
+ * The detection and palette stages as plain functions of image data and
+ * serializable options, so they can run on the main thread or in a worker
+ */
+
+import { pixelDetect, downscaleToGrid, cropOrPad } from './pixelDetect.js';
+import { quantizeImage, applyPalette, determineBestK, createSharedPalette } from './paletteApply.js';
+import { removeBackground } from './backgroundRemoval.js';
+import { detectFrames, gridFrames, sliceFrame, assembleSheet } from './spriteSheet.js';
+
+/**
+ * Detection stage: find the pixel grid and downscale to it
+ * @param {ImageData} imageData - Original image data
+ * @param {Object} [options] - pixelDetect options (grid, alphaThreshold, metric, method)
+ * @param {Function} [onProgress] - (stage, fraction) progress callback
+ * @returns {Object} pixelDetect result plus detectTime in ms
+ */
+export function runDetection(imageData, options = {}, onProgress = () => {}) {
+    const startTime = performance.now();
+    const result = pixelDetect(imageData, { ...options, onProgress });
+    const detectTime = Math.round(performance.now() - startTime);
+
+    return { ...result, detectTime };
+}
+
+/**
+ * Manual grid stage: downscale over a user-chosen grid without detection
+ * @param {ImageData} imageData - Original image data
+ * @param {Object} options - downscaleToGrid options (hFactor, vFactor,
+ *        offsetX, offsetY, alphaThreshold, metric)
+ * @param {Function} [onProgress] - (stage, fraction) progress callback
+ * @returns {Object} downscaleToGrid result plus detectTime in ms
+ */
+export function runGrid(imageData, options, onProgress = () => {}) {
+    const startTime = performance.now();
+    const result = downscaleToGrid(imageData, { ...options, onProgress });
+    const detectTime = Math.round(performance.now() - startTime);
+
+    return { ...result, detectTime };
+}
+
+/**
+ * Sprite sheet stage: slice frames, fix them on a common grid and reassemble
+ * Each frame is detected on its own and the median cell size is used for
+ * all of them, so the frames come out the same size and stay aligned. The
+ * reassembled sheet then goes through the palette stage as one image, which
+ * gives every frame the same palette.
+ * @param {ImageData} imageData - Sprite sheet image data
+ * @param {Object} options - Detection options (grid, alphaThreshold, metric, method)
+ * @param {Object} options.sheet - Slicing options
+ * @param {string} options.sheet.mode - 'auto' (split at gutters) or 'grid'
+ * @param {number} [options.sheet.rows=1] - Frame rows for 'grid' mode
+ * @param {number} [options.sheet.cols=1] - Frame columns for 'grid' mode
+ * @param {Function} [onProgress] - (stage, fraction) progress callback
+ * @returns {{downscaled: ImageData, hFactor: number, vFactor: number,
+ *            offsetX: number, offsetY: number, frameRows: number, frameCols: number,
+ *            sourceFrames: Array<Object>, frames: Array<Object>, detectTime: number}}
+ *          Reassembled sheet, the common cell size, the number of frame rows
+ *          and columns, and the frame rectangles in the original (sourceFrames)
+ *          and in the sheet (frames)
+ */
+export function runSpriteSheet(imageData, options, onProgress = () => {}) {
+    const { sheet, grid, alphaThreshold, metric, method } = options;
+    const startTime = performance.now();
+
+    onProgress('frames', 0);
+    const { frames: sourceFrames, rows, cols } = sheet.mode === 'grid'
+        ? gridFrames(imageData.width, imageData.height, sheet.rows || 1, sheet.cols || 1)
+        : detectFrames(imageData, { alphaThreshold });
+    if (sourceFrames.length === 0) throw new Error('No frames found in the sprite sheet');
+
+    // Detect every frame, then agree on one cell size
+    const slices = sourceFrames.map(frame => sliceFrame(imageData, frame));
+    const detections = slices.map((slice, i) => {
+        onProgress('frames', i / slices.length);
+        return pixelDetect(slice, { grid, alphaThreshold, metric, method });
+    });
+    const hFactor = median(detections.map(d => d.hFactor));
+    const vFactor = median(detections.map(d => d.vFactor));
+
+    // Downscale every frame over the common grid, then pad them to one size
+    const downscaled = slices.map((slice, i) => {
+        onProgress('downscale', i / slices.length);
+        return downscaleToGrid(slice, {
+            hFactor,
+            vFactor,
+            offsetX: detections[i].offsetX % hFactor,
+            offsetY: detections[i].offsetY % vFactor,
+            alphaThreshold,
+            metric
+        }).downscaled;
+    });
+    const cellWidth = Math.max(...downscaled.map(image => image.width));
+    const cellHeight = Math.max(...downscaled.map(image => image.height));
+    const cells = downscaled.map(image => cropOrPad(image, cellWidth, cellHeight));
+
+    const { imageData: sheetData, frames } = assembleSheet(cells, sourceFrames, rows, cols);
+    const detectTime = Math.round(performance.now() - startTime);
+
+    return {
+        downscaled: sheetData,
+        hFactor,
+        vFactor,
+        offsetX: 0,
+        offsetY: 0,
+        frameRows: rows,
+        frameCols: cols,
+        sourceFrames,
+        frames,
+        detectTime
+    };
+}
+
+/**
+ * Animation stage: fix every frame of an animation on one shared grid
+ * The frames come stacked top to bottom in one image. They share a canvas,
+ * so one grid (cell size and offset) is used for all of them, taken from
+ * the frame whose detected cell size is closest to the median. Like a sprite
+ * sheet, the downscaled stack then goes through the palette stage as one
+ * image so every frame gets the same palette.
+ * @param {ImageData} imageData - Frames stacked vertically
+ * @param {Object} options - Detection options (grid, alphaThreshold, metric, method)
+ * @param {number} options.frameCount - Number of stacked frames
+ * @param {number} [options.hFactor] - Manual grid (with vFactor, offsetX and
+ *        offsetY); skips detection
+ * @param {Function} [onProgress] - (stage, fraction) progress callback
+ * @returns {{downscaled: ImageData, hFactor: number, vFactor: number,
+ *            offsetX: number, offsetY: number, columns: Array<number>,
+ *            rows: Array<number>, frameCount: number, detectTime: number}}
+ *          Downscaled frames (stacked the same way) and the shared grid of one frame
+ */
+export function runAnimation(imageData, options, onProgress = () => {}) {
+    const { frameCount, grid, alphaThreshold, metric, method } = options;
+    const startTime = performance.now();
+
+    const { frames } = gridFrames(imageData.width, imageData.height, frameCount, 1);
+    const slices = frames.map(frame => sliceFrame(imageData, frame));
+    const { hFactor, vFactor, offsetX = 0, offsetY = 0 } = options.hFactor
+        ? options
+        : sharedGrid(slices, { grid, alphaThreshold, metric, method }, onProgress);
+
+    let layout = null;
+    const downscaled = slices.map((slice, i) => {
+        onProgress('downscale', i / slices.length);
+        const result = downscaleToGrid(slice, { hFactor, vFactor, offsetX, offsetY, alphaThreshold, metric });
+        layout = layout || result;
+        return result.downscaled;
+    });
+
+    const { imageData: stacked } = assembleSheet(downscaled, frames, frameCount, 1);
+    const detectTime = Math.round(performance.now() - startTime);
+
+    return {
+        downscaled: stacked,
+        hFactor,
+        vFactor,
+        offsetX,
+        offsetY,
+        columns: layout.columns,
+        rows: layout.rows,
+        frameCount,
+        detectTime
+    };
+}
+
+/**
+ * Detect every frame and pick the grid to share between them
+ * @param {Array<ImageData>} slices - Frames
+ * @param {Object} options - pixelDetect options
+ * @param {Function} onProgress - (stage, fraction) progress callback
+ * @returns {Object} Detection of the frame whose cell size is closest to the median
+ */
+function sharedGrid(slices, options, onProgress) {
+    const detections = slices.map((slice, i) => {
+        onProgress('frames', i / slices.length);
+        return pixelDetect(slice, options);
+    });
+
+    const hMedian = median(detections.map(d => d.hFactor));
+    const vMedian = median(detections.map(d => d.vFactor));
+    const distance = (d) => Math.abs(d.hFactor - hMedian) + Math.abs(d.vFactor - vMedian);
+    return detections.reduce((best, d) => distance(d) < distance(best) ? d : best);
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (not empty)
+ * @returns {number} Median value
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Palette stage: remove the background, then quantize or map to a palette
+ * @param {ImageData} imageData - Downscaled image data
+ * @param {Object} [options] - Palette options
+ * @param {string} [options.mode='auto'] - 'auto' (pick the color count),
+ *        'count' (quantize to options.colors) or 'palette' (map to options.palette)
+ * @param {number} [options.colors=16] - Color count for 'count' mode
+ * @param {Array<Array<number>>} [options.palette] - Colors for 'palette' mode
+ * @param {Object} [options.background] - removeBackground options
+ * @param {string} [options.metric] - Color metric
+ * @param {string} [options.quantizer] - Quantizer for 'auto' and 'count' mode
+ * @param {boolean} [options.refine] - Refine quantized palettes with k-means
+ * @param {string} [options.dither] - Dithering method
+ * @param {number} [options.ditherStrength] - Dithering strength, 0 to 1
+ * @param {Function} [onProgress] - (stage, fraction) progress callback
+ * @returns {{imageData: ImageData, palette: Array<Array<number>>|null,
+ *            colorCount: number, paletteTime: number}}
+ */
+export function runPalette(imageData, options = {}, onProgress = () => {}) {
+    const { mode = 'auto', colors = 16, palette = null, background = {} } = options;
+    const mapOptions = {
+        metric: options.metric,
+        dither: options.dither,
+        ditherStrength: options.ditherStrength
+    };
+    const quantizeOptions = {
+        ...mapOptions,
+        quantizer: options.quantizer,
+        refine: options.refine
+    };
+
+    const startTime = performance.now();
+
+    // Remove the background before palette mapping so it stays transparent
+    onProgress('background', 0);
+    const sourceData = removeBackground(imageData, background);
+
+    let result = { imageData: sourceData, palette: null };
+    let colorCount = colors;
+
+    if (mode === 'auto') {
+        // Auto-detect optimal color count
+        colorCount = determineBestK(sourceData, 32, {
+            metric: options.metric,
+            onProgress: (fraction) => onProgress('colors', fraction)
+        });
+        onProgress('palette', 0);
+        result = quantizeImage(sourceData, colorCount, quantizeOptions);
+
+    } else if (mode === 'count') {
+        onProgress('palette', 0);
+        result = quantizeImage(sourceData, colors, quantizeOptions);
+
+    } else if (palette) {
+        onProgress('palette', 0);
+        result = { imageData: applyPalette(sourceData, palette, mapOptions), palette };
+        colorCount = palette.length;
+    }
+
+    const paletteTime = Math.round(performance.now() - startTime);
+    return { ...result, colorCount, paletteTime };
+}
+
+/**
+ * Shared palette stage: build one palette for several downscaled images
+ * Takes the palette stage options; the result is meant to be applied to each
+ * image with runPalette in 'palette' mode, so a sprite set stays consistent.
+ * @param {Array<ImageData>} images - Downscaled images
+ * @param {Object} [options] - runPalette options, plus:
+ * @param {number} [options.maxColors=32] - Cap on the total color count
+ *        ('auto' and 'count' mode)
+ * @param {Function} [onProgress] - (stage, fraction) progress callback
+ * @returns {{palette: Array<Array<number>>, colorCount: number, paletteTime: number}}
+ */
+export function runSharedPalette(images, options = {}, onProgress = () => {}) {
+    const { mode = 'auto', colors = 16, maxColors = 32, background = {} } = options;
+    const startTime = performance.now();
+
+    if (mode === 'palette') {
+        const palette = options.palette || [];
+        return { palette, colorCount: palette.length, paletteTime: 0 };
+    }
+
+    // Count only what will be kept, so backgrounds don't take up colors
+    onProgress('background', 0);
+    const sources = images.map(imageData => removeBackground(imageData, background));
+
+    let colorCount = Math.min(colors, maxColors);
+    if (mode === 'auto') {
+        colorCount = determineBestK(sources, maxColors, {
+            metric: options.metric,
+            onProgress: (fraction) => onProgress('colors', fraction)
+        });
+    }
+
+    onProgress('palette', 0);
+    const palette = createSharedPalette(sources, colorCount, {
+        maxColors,
+        metric: options.metric,
+        quantizer: options.quantizer,
+        refine: options.refine
+    });
+
+    const paletteTime = Math.round(performance.now() - startTime);
+    return { palette, colorCount: palette.length, paletteTime };
+}
@@ -0,0 +1,114 @@
+/**
+ * Main-thread side of the pipeline worker
+ * One client runs one job at a time; starting a new job cancels the old one
+ */
+
+import { createImageData } from './imageData.js';
+
+/**
+ * Error used to reject jobs that were superseded or cancelled
+ */
+export class CancelledError extends Error {
+    constructor() {
+        super('Pipeline job cancelled');
+        this.name = 'CancelledError';
+    }
+}
+
+export class PipelineClient {
+    constructor() {
+        this.worker = null;
+        this.job = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Run a pipeline stage in the worker
+     * Images are copied and their buffers transferred, so the caller keeps its data
+     * @param {string} stage - 'detect', 'grid', 'sheet', 'animation', 'palette'
+     *        or 'sharedPalette'
+     * @param {ImageData|Array<ImageData>} imageData - Input image data (an
+     *        array for 'sharedPalette')
+     * @param {Object} options - Stage options (must be structured-cloneable)
+     * @param {Function} [onProgress] - (stage, fraction) progress callback
+     * @returns {Promise<{result: Object, imageData: ImageData|null}>} Stage
+     *          result and output image (null for 'sharedPalette')
+     */
+    run(stage, imageData, options, onProgress = () => {}) {
+        this.cancel();
+
+        const id = this.nextId++;
+        const worker = this.getWorker();
+        const transfer = [];
+        const copy = (image) => {
+            const buffer = image.data.slice().buffer;
+            transfer.push(buffer);
+            return { buffer, width: image.width, height: image.height };
+        };
+        const input = Array.isArray(imageData)
+            ? { images: imageData.map(copy) }
+            : { image: copy(imageData) };
+
+        return new Promise((resolve, reject) => {
+            this.job = { id, resolve, reject, onProgress };
+            worker.postMessage({ id, stage, ...input, options }, transfer);
+        });
+    }
+
+    /**
+     * Cancel the running job, if any
+     * A synchronous computation can't be interrupted, so the worker is
+     * terminated and a fresh one is started for the next job
+     */
+    cancel() {
+        if (!this.job) return;
+
+        this.job.reject(new CancelledError());
+        this.job = null;
+        this.worker.terminate();
+        this.worker = null;
+    }
+
+    /**
+     * Get the worker, starting it if needed
+     * @returns {Worker} Pipeline worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./pipelineWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => this.handleMessage({
+                id: this.job?.id,
+                type: 'error',
+                message: e.message || 'Pipeline worker failed'
+            });
+        }
+        return this.worker;
+    }
+
+    /**
+     * Route a worker message to the current job
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        const job = this.job;
+        if (!job || message.id !== job.id) return; // Stale job
+
+        if (message.type === 'progress') {
+            job.onProgress(message.stage, message.fraction);
+            return;
+        }
+
+        this.job = null;
+        if (message.type === 'error') {
+            job.reject(new Error(message.message));
+            return;
+        }
+
+        const { image } = message;
+        job.resolve({
+            result: message.result,
+            imageData: image && createImageData(new Uint8ClampedArray(image.buffer), image.width, image.height)
+        });
+    }
+}
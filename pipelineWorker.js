@@ -0,0 +1,69 @@
+/**
+ * PixelFixel - Pipeline Worker
+ * Runs the detection and palette stages off the main thread
+ *
+ * Messages in:  {id, stage: 'detect'|'grid'|'sheet'|'animation'|'palette', image: {buffer, width, height}, options}
+ *               {id, stage: 'sharedPalette', images: [{buffer, width, height}], options}
+ * Messages out: {id, type: 'progress', stage, fraction}
+ *               {id, type: 'result', result, image: {buffer, width, height}|null}
+ *               {id, type: 'error', message}
+ */
+
+import { runDetection, runGrid, runSpriteSheet, runAnimation, runPalette, runSharedPalette } from './pipeline.js';
+import { createImageData } from './imageData.js';
+
+const STAGES = {
+    detect: runDetection,
+    grid: runGrid,
+    sheet: runSpriteSheet,
+    animation: runAnimation,
+    palette: runPalette,
+    sharedPalette: runSharedPalette
+};
+
+/**
+ * Wrap a transferred image in image data
+ * @param {{buffer: ArrayBuffer, width: number, height: number}} image - Transferred image
+ * @returns {ImageData} Image data
+ */
+function toImage(image) {
+    return createImageData(new Uint8ClampedArray(image.buffer), image.width, image.height);
+}
+
+self.onmessage = (e) => {
+    const { id, stage, image, images, options } = e.data;
+
+    try {
+        const run = STAGES[stage];
+        if (!run) throw new Error(`Unknown pipeline stage: ${stage}`);
+
+        const input = images ? images.map(toImage) : toImage(image);
+
+        // Throttle progress messages to whole percent steps
+        let lastReport = '';
+        const onProgress = (name, fraction) => {
+            const report = `${name}:${Math.floor(fraction * 100)}`;
+            if (report === lastReport) return;
+            lastReport = report;
+            self.postMessage({ id, type: 'progress', stage: name, fraction });
+        };
+
+        const { downscaled, imageData: output, ...result } = run(input, options, onProgress);
+        const outImage = downscaled || output;
+
+        // Stages like sharedPalette only return data
+        if (!outImage) {
+            self.postMessage({ id, type: 'result', result, image: null });
+            return;
+        }
+
+        self.postMessage({
+            id,
+            type: 'result',
+            result,
+            image: { buffer: outImage.data.buffer, width: outImage.width, height: outImage.height }
+        }, [outImage.data.buffer]);
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
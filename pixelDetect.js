@@ -3,6 +3,50 @@
  * Ported from Python AI PixelFix script
  */
 
+import { getColorMetric } from './colorMetrics.js';
+import { createImageData } from './imageData.js';
+
+/**
+ * Common sprite sizes for target resolution mode
+ */
+export const SPRITE_SIZES = [8, 16, 24, 32, 48, 64, 96, 128, 256];
+
+/**
+ * Anchor positions for cropping or padding to a target size, as the
+ * fraction of the size difference that goes before the image on each axis
+ */
+export const ANCHORS = {
+    'top-left': [0, 0], 'top': [0.5, 0], 'top-right': [1, 0],
+    'left': [0, 0.5], 'center': [0.5, 0.5], 'right': [1, 0.5],
+    'bottom-left': [0, 1], 'bottom': [0.5, 1], 'bottom-right': [1, 1]
+};
+
+/**
+ * Ways to measure the cell size from the edge profiles
+ */
+export const DETECTION_METHODS = [
+    { key: 'peaks', name: 'Edge peaks' },
+    { key: 'fft', name: 'Frequency (FFT)' }
+];
+
+// Detection confidence below this is worth a warning in the UI
+export const LOW_CONFIDENCE = 0.5;
+
+// Peaks below this share of a strong edge (the 90th percentile peak) are
+// noise inside a cell, not cell boundaries
+const PEAK_HEIGHT_RATIO = 0.5;
+
+// Number of alternative scale factors returned with a detection
+const CANDIDATE_COUNT = 4;
+
+// Largest cell size tried by the FFT detector and when scoring candidates
+const MAX_CANDIDATE_SPACING = 64;
+
+// Images whose best grid scores below this, with at most NATIVE_MAX_COLORS
+// colors, look like pixel art that is already at one pixel per cell
+const NATIVE_SCORE = 0.25;
+const NATIVE_MAX_COLORS = 256;
+
 /**
  * Find peaks in an array of values
  * @param {Float32Array|Array} data - Array of values
@@ -10,7 +54,7 @@
  * @param {number} height - Minimum peak height
  * @returns {Array<number>} Array of peak indices
  */
-function findPeaks(data, distance = 1, height = 0.0) {
+export function findPeaks(data, distance = 1, height = 0.0) {
     const peaks = [];
 
     for (let i = 1; i < data.length - 1; i++) {
@@ -29,10 +73,10 @@ function findPeaks(data, distance = 1, height = 0.0) {
 /**
  * Calculate median of an array
  * @param {Array<number>} arr - Array of numbers
- * @returns {number} Median value
+ * @returns {number|null} Median value, or null for an empty array
  */
 function median(arr) {
-    if (arr.length === 0) return 1;
+    if (arr.length === 0) return null;
     const sorted = [...arr].sort((a, b) => a - b);
     const mid = Math.floor(sorted.length / 2);
     return sorted.length % 2 === 0
@@ -40,6 +84,498 @@ function median(arr) {
         : sorted[mid];
 }
 
+/**
+ * Keep the peaks strong enough to be cell boundaries
+ * Noise adds a local maximum inside almost every cell; counting those would
+ * pull the median spacing down to a few pixels
+ * @param {Float32Array} diff - Edge profile
+ * @param {Array<number>} peaks - Peak indices in diff (from findPeaks)
+ * @returns {Array<number>} Peak indices at least PEAK_HEIGHT_RATIO times
+ *          the height of a strong peak
+ */
+function strongPeaks(diff, peaks) {
+    if (peaks.length === 0) return peaks;
+    const heights = peaks.map(p => diff[p]).sort((a, b) => a - b);
+    const strong = heights[Math.min(heights.length - 1, Math.floor(heights.length * 0.9))];
+    return peaks.filter(p => diff[p] >= strong * PEAK_HEIGHT_RATIO);
+}
+
+/**
+ * In-place radix-2 fast Fourier transform
+ * @param {Float64Array} re - Real parts (length a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const stepRe = Math.cos(-2 * Math.PI / size);
+        const stepIm = Math.sin(-2 * Math.PI / size);
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * Estimate the cell size along one axis from the edge profile's spectrum
+ * Cell boundaries make the profile a pulse train, whose spectrum has peaks
+ * at the cell frequency and its harmonics while noise spreads out evenly.
+ * The lowest frequency with a strong peak is the fundamental; harmonics
+ * would give a half or a third of the cell size. The profile is zero-padded
+ * for a finer frequency grid and the peak is interpolated, so fractional
+ * cell sizes come out too.
+ * @param {Float32Array} diff - Edge profile (diff[i] compares pixel i and i + 1)
+ * @returns {number|null} Cell size in source pixels, or null if the profile
+ *          is too short or flat
+ */
+function fundamentalPeriod(diff) {
+    const n = diff.length;
+    const maxPeriod = Math.min(MAX_CANDIDATE_SPACING, Math.floor(n / 3));
+    if (maxPeriod < 2) return null;
+
+    let size = 1;
+    while (size < n * 4) size <<= 1;
+
+    const mean = diff.reduce((sum, v) => sum + v, 0) / n;
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    for (let i = 0; i < n; i++) re[i] = diff[i] - mean;
+    fft(re, im);
+
+    const power = (k) => re[k] * re[k] + im[k] * im[k];
+    const peaks = [];
+    let maxPower = 0;
+    for (let k = Math.max(1, Math.ceil(size / maxPeriod)); k < size / 2; k++) {
+        const p = power(k);
+        if (p >= power(k - 1) && p >= power(k + 1)) {
+            peaks.push(k);
+            maxPower = Math.max(maxPower, p);
+        }
+    }
+    if (maxPower <= 0) return null;
+
+    // Lowest strong frequency, refined with a parabola through its neighbors
+    const k = peaks.find(peak => power(peak) >= maxPower * 0.5);
+    const left = power(k - 1);
+    const right = power(k + 1);
+    const curvature = left - 2 * power(k) + right;
+    const shift = curvature < 0 ? (left - right) / (2 * curvature) : 0;
+    const period = size / (k + shift);
+
+    // Whole cell sizes are far more common, so snap when close
+    return Math.abs(period - Math.round(period)) < 0.05
+        ? Math.round(period)
+        : Math.round(period * 100) / 100;
+}
+
+/**
+ * Estimate where the pixel grid starts along one axis
+ * Tries every integer offset within one cell and keeps the one whose
+ * implied cell boundaries line up with the strongest edges
+ * @param {Float32Array} diff - Edge profile (diff[i] compares pixel i and i + 1)
+ * @param {number} spacing - Detected cell size in source pixels
+ * @returns {number} Offset of the first full cell, in [0, spacing)
+ */
+function detectPhase(diff, spacing) {
+    if (spacing <= 1) return 0;
+
+    let bestOffset = 0;
+    let bestScore = -Infinity;
+
+    for (let offset = 0; offset < spacing; offset++) {
+        // A boundary at source position p shows up as the edge diff[p - 1]
+        let sum = 0;
+        let count = 0;
+        for (let k = 0; ; k++) {
+            const p = Math.round(offset + k * spacing);
+            if (p > diff.length) break;
+            if (p < 1) continue;
+            sum += diff[p - 1];
+            count++;
+        }
+
+        const score = count > 0 ? sum / count : 0;
+        if (score > bestScore) {
+            bestScore = score;
+            bestOffset = offset;
+        }
+    }
+
+    return bestOffset;
+}
+
+/**
+ * Score how well a cell size explains the edges along one axis
+ * Compares the share of edge strength on the best-aligned grid lines with
+ * the share any grid of that size gets by chance (1 / spacing): 1 means all
+ * edges are on grid lines, 0 means the grid is no better than chance
+ * @param {Float32Array} diff - Edge profile (diff[i] compares pixel i and i + 1)
+ * @param {number} total - Sum of the edge profile
+ * @param {number} spacing - Cell size in source pixels
+ * @returns {{score: number, offset: number}} Score in [0, 1] and grid offset
+ */
+function gridScore(diff, total, spacing) {
+    if (spacing <= 1 || total <= 0) return { score: 0, offset: 0 };
+
+    const offset = detectPhase(diff, spacing);
+    let sum = 0;
+    for (let k = 0; ; k++) {
+        const p = Math.round(offset + k * spacing);
+        if (p > diff.length) break;
+        if (p >= 1) sum += diff[p - 1];
+    }
+
+    const chance = 1 / spacing;
+    const score = Math.max(0, Math.min(1, (sum / total - chance) / (1 - chance)));
+    return { score, offset };
+}
+
+/**
+ * Rank cell sizes along one axis by their grid score
+ * A size is left out when a multiple of it scores about as well, since its
+ * grid lines include all of the multiple's lines
+ * @param {Float32Array} diff - Edge profile
+ * @param {number} total - Sum of the edge profile
+ * @param {Array<number>} [extra] - Sizes to score besides the integers
+ * @returns {Array<{spacing: number, score: number, offset: number}>} Best first
+ */
+function rankSpacings(diff, total, extra = []) {
+    // Half steps catch fractional upscales such as 5.5x
+    const spacings = new Set(extra.filter(s => s > 1));
+    for (let s = 2; s <= maxCandidateSpacing(diff); s += 0.5) spacings.add(s);
+
+    const scored = [...spacings].map(spacing => ({ spacing, ...gridScore(diff, total, spacing) }));
+    const isDivisor = (a, b) => b > a && Math.abs(b / a - Math.round(b / a)) < 0.01;
+
+    return scored
+        .filter(c => !scored.some(other => isDivisor(c.spacing, other.spacing) && other.score >= c.score * 0.95))
+        .sort((a, b) => b.score - a.score || b.spacing - a.spacing);
+}
+
+/**
+ * Largest cell size worth scoring: at least two cells must fit
+ * @param {Float32Array} diff - Edge profile
+ * @returns {number} Largest spacing
+ */
+function maxCandidateSpacing(diff) {
+    return Math.min(MAX_CANDIDATE_SPACING, Math.floor((diff.length + 1) / 2));
+}
+
+/**
+ * Grid score of a cell size, discounted when it is a fraction of the real one
+ * If a grid of n times the size scores about as well, only one in n of the
+ * lines sits on an edge, so the score is divided by n
+ * @param {Float32Array} diff - Edge profile
+ * @param {number} total - Sum of the edge profile
+ * @param {number} spacing - Cell size in source pixels
+ * @returns {number} Score in [0, 1]
+ */
+function axisScore(diff, total, spacing) {
+    const { score } = gridScore(diff, total, spacing);
+    let multiple = 1;
+    for (let n = 2; spacing * n <= maxCandidateSpacing(diff); n++) {
+        if (gridScore(diff, total, spacing * n).score >= score * 0.95) multiple = n;
+    }
+    return score / multiple;
+}
+
+/**
+ * Best cell size along one axis by grid score alone
+ * Fallback for profiles with too few peaks to measure their spacing
+ * @param {Float32Array} diff - Edge profile
+ * @returns {number} Cell size (1 when no grid stands out)
+ */
+function bestSpacing(diff) {
+    const total = diff.reduce((sum, v) => sum + v, 0);
+    const [best] = rankSpacings(diff, total);
+    return best && best.score > 0 ? best.spacing : 1;
+}
+
+/**
+ * Count the distinct visible colors of an image, up to a limit
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} limit - Stop counting past this many colors
+ * @returns {number} Color count (limit + 1 if there are more)
+ */
+function countColors(data, limit) {
+    const colors = new Set();
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        colors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+        if (colors.size > limit) break;
+    }
+    return colors.size;
+}
+
+/**
+ * Score the detected grid and find alternative scale factors
+ * @param {ImageData} imageData - Source image data
+ * @param {Float32Array} hdiff - Horizontal edge profile
+ * @param {Float32Array} vdiff - Vertical edge profile
+ * @param {number} hFactor - Detected cell width
+ * @param {number} vFactor - Detected cell height
+ * @returns {{confidence: number, isNative: boolean,
+ *            candidates: Array<{hFactor: number, vFactor: number,
+ *            offsetX: number, offsetY: number, score: number}>}}
+ *          Confidence in [0, 1], whether the image looks like 1:1 pixel art,
+ *          and the best scoring grids (best first)
+ */
+function scoreDetection(imageData, hdiff, vdiff, hFactor, vFactor) {
+    const hTotal = hdiff.reduce((sum, v) => sum + v, 0);
+    const vTotal = vdiff.reduce((sum, v) => sum + v, 0);
+    // Also score the fundamental period, which catches fractional sizes the
+    // half steps miss
+    const hRanked = rankSpacings(hdiff, hTotal, [hFactor, fundamentalPeriod(hdiff) ?? 0]);
+    const vRanked = rankSpacings(vdiff, vTotal, [vFactor, fundamentalPeriod(vdiff) ?? 0]);
+
+    // Pair the best sizes of both axes, so non-square cells are found too
+    const candidates = [];
+    for (const h of hRanked.slice(0, 3)) {
+        for (const v of vRanked.slice(0, 3)) {
+            candidates.push({
+                hFactor: h.spacing,
+                vFactor: v.spacing,
+                offsetX: h.offset,
+                offsetY: v.offset,
+                score: (h.score + v.score) / 2
+            });
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+    candidates.splice(0, candidates.length, ...candidates.filter(c => c.score > 0));
+
+    const bestScore = candidates.length > 0 ? candidates[0].score : 0;
+    const isNative = bestScore < NATIVE_SCORE &&
+        countColors(imageData.data, NATIVE_MAX_COLORS) <= NATIVE_MAX_COLORS;
+    if (isNative) {
+        candidates.unshift({ hFactor: 1, vFactor: 1, offsetX: 0, offsetY: 0, score: 1 - bestScore });
+    }
+
+    // The detected grid is only as good as its own score, and less if
+    // another grid explains the edges better
+    const chosen = (axisScore(hdiff, hTotal, hFactor) + axisScore(vdiff, vTotal, vFactor)) / 2;
+    const confidence = chosen * Math.min(1, chosen / Math.max(bestScore, 1e-9));
+
+    return {
+        confidence: Math.round(confidence * 100) / 100,
+        isNative,
+        candidates: candidates.slice(0, CANDIDATE_COUNT).map(c => ({ ...c, score: Math.round(c.score * 100) / 100 }))
+    };
+}
+
+/**
+ * Count the whole cells that fit after the grid offset
+ * Partial cells at the far border are dropped; a small tolerance keeps a
+ * cell that is only short by rounding error
+ * @param {number} length - Image size along the axis
+ * @param {number} offset - Grid offset along the axis
+ * @param {number} spacing - Cell size in source pixels
+ * @returns {number} Number of cells (at least 1)
+ */
+function countCells(length, offset, spacing) {
+    return Math.max(1, Math.floor((length - offset) / spacing + 0.1));
+}
+
+/**
+ * Fit explicit cell boundaries along one axis
+ * Walks from the grid offset one nominal cell at a time and snaps each
+ * expected boundary to the strongest nearby peak, so the grid can follow
+ * cell sizes that drift across the image instead of accumulating error
+ * @param {Float32Array} diff - Edge profile (diff[i] compares pixel i and i + 1)
+ * @param {Array<number>} peaks - Peak indices in diff (from findPeaks)
+ * @param {number} spacing - Nominal cell size in source pixels
+ * @param {number} offset - Grid offset (first boundary)
+ * @returns {Array<number>} Boundaries; cell i spans [b[i], b[i + 1])
+ */
+function fitBoundaries(diff, peaks, spacing, offset) {
+    const length = diff.length + 1;
+    const boundaries = [offset];
+    if (spacing <= 1) {
+        for (let p = offset + 1; p <= length; p++) boundaries.push(p);
+        return boundaries;
+    }
+
+    // Only accept cells within +/-35% of the nominal size
+    const tolerance = Math.max(1, spacing * 0.35);
+    let peakIndex = 0;
+    let pos = offset;
+
+    while (true) {
+        const expected = pos + spacing;
+        if (expected - tolerance > length) break;
+
+        // Strongest peak inside the window (peak i is a boundary at i + 1)
+        let best = -1;
+        let bestStrength = -Infinity;
+        while (peakIndex < peaks.length && peaks[peakIndex] + 1 < expected - tolerance) {
+            peakIndex++;
+        }
+        for (let i = peakIndex; i < peaks.length && peaks[i] + 1 <= expected + tolerance; i++) {
+            if (diff[peaks[i]] > bestStrength) {
+                bestStrength = diff[peaks[i]];
+                best = peaks[i] + 1;
+            }
+        }
+
+        let next = best > pos ? best : Math.round(expected);
+        if (next > length) {
+            // Keep a last cell that is only short by rounding error
+            if (expected > length + spacing * 0.1) break;
+            next = length;
+        }
+
+        boundaries.push(next);
+        pos = next;
+        if (pos >= length) break;
+    }
+
+    if (boundaries.length < 2) boundaries.push(length);
+    return boundaries;
+}
+
+/**
+ * Build evenly spaced cell boundaries along one axis
+ * @param {number} count - Number of cells
+ * @param {number} offset - Position of the first boundary
+ * @param {number} size - Cell size (may be fractional)
+ * @param {number} length - Image size along the axis
+ * @returns {Array<number>} Boundaries; cell i spans [b[i], b[i + 1])
+ */
+function uniformBoundaries(count, offset, size, length) {
+    const boundaries = [];
+    for (let i = 0; i <= count; i++) {
+        boundaries.push(Math.min(offset + Math.floor(i * size), length));
+    }
+    return boundaries;
+}
+
+/**
+ * Snap the cell size so exactly count cells fit after the offset
+ * @param {number} length - Image size along the axis
+ * @param {number} offset - Grid offset along the axis
+ * @param {number} count - Wanted number of cells
+ * @returns {{size: number, boundaries: Array<number>}|null} Snapped cell size
+ *          and boundaries, or null if the cells would be under one pixel
+ */
+function snapBoundaries(length, offset, count) {
+    const size = (length - offset) / count;
+    if (size < 1) return null;
+    return { size, boundaries: uniformBoundaries(count, offset, size, length) };
+}
+
+/**
+ * Crop or pad an image to an exact size
+ * Padding is transparent; the anchor decides which side is cropped or padded
+ * @param {ImageData} imageData - Source image data
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {string} [anchor='center'] - One of the ANCHORS keys
+ * @returns {ImageData} Image of exactly width × height
+ */
+export function cropOrPad(imageData, width, height, anchor = 'center') {
+    const { data, width: srcWidth, height: srcHeight } = imageData;
+    if (width === srcWidth && height === srcHeight) return imageData;
+
+    const [ax, ay] = ANCHORS[anchor] || ANCHORS.center;
+    const dx = Math.round((width - srcWidth) * ax);
+    const dy = Math.round((height - srcHeight) * ay);
+    const outputData = new Uint8ClampedArray(width * height * 4);
+
+    // Copy the overlapping rows
+    const x1 = Math.max(0, dx);
+    const x2 = Math.min(width, dx + srcWidth);
+    for (let y = Math.max(0, dy); y < Math.min(height, dy + srcHeight); y++) {
+        if (x2 <= x1) break;
+        const srcStart = ((y - dy) * srcWidth + (x1 - dx)) * 4;
+        outputData.set(data.subarray(srcStart, srcStart + (x2 - x1) * 4), (y * width + x1) * 4);
+    }
+
+    return createImageData(outputData, width, height);
+}
+
+/**
+ * Build a uniform grid from cell sizes and an offset
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} grid - Grid parameters
+ * @param {number} grid.hFactor - Cell width in source pixels
+ * @param {number} grid.vFactor - Cell height in source pixels
+ * @param {number} [grid.offsetX=0] - Source x of the first column boundary
+ * @param {number} [grid.offsetY=0] - Source y of the first row boundary
+ * @returns {{columns: Array<number>, rows: Array<number>}} Cell boundaries
+ */
+export function uniformGrid(width, height, grid) {
+    const { hFactor, vFactor, offsetX = 0, offsetY = 0 } = grid;
+    return {
+        columns: uniformBoundaries(countCells(width, offsetX, hFactor), offsetX, hFactor, width),
+        rows: uniformBoundaries(countCells(height, offsetY, vFactor), offsetY, vFactor, height)
+    };
+}
+
+/**
+ * Downscale over a manually chosen grid, skipping detection
+ * @param {ImageData} imageData - Source image data
+ * @param {Object} options - Grid and downscaling options
+ * @param {number} options.hFactor - Cell width in source pixels
+ * @param {number} options.vFactor - Cell height in source pixels
+ * @param {number} [options.offsetX=0] - Source x of the first column boundary
+ * @param {number} [options.offsetY=0] - Source y of the first row boundary
+ * @param {number} [options.alphaThreshold=128] - See kCentroidCells
+ * @param {string} [options.metric='rgb'] - See kCentroidCells
+ * @param {Object} [options.target] - Output size, see pixelDetect (the cell
+ *        size is locked, so the result is always cropped or padded)
+ * @param {Function} [options.onProgress] - Called with (stage, fraction)
+ * @returns {{downscaled: ImageData, hFactor: number, vFactor: number,
+ *            offsetX: number, offsetY: number,
+ *            columns: Array<number>, rows: Array<number>}}
+ *          Same shape as the pixelDetect result
+ */
+export function downscaleToGrid(imageData, options) {
+    const { hFactor, vFactor, offsetX = 0, offsetY = 0, alphaThreshold = 128, metric = 'rgb' } = options;
+    const { onProgress = () => {} } = options;
+    const { columns, rows } = uniformGrid(imageData.width, imageData.height, options);
+
+    let downscaled = kCentroidCells(imageData, columns, rows, 2, {
+        alphaThreshold,
+        metric,
+        onProgress: (fraction) => onProgress('downscale', fraction)
+    });
+
+    const { target } = options;
+    if (target) {
+        downscaled = cropOrPad(downscaled, target.width, target.height, target.anchor);
+    }
+
+    return { downscaled, hFactor, vFactor, offsetX, offsetY, columns, rows };
+}
+
 /**
  * Downscale image using k-means clustering on tiles
  * Finds the most common color in each tile
@@ -47,174 +583,434 @@ function median(arr) {
  * @param {number} targetWidth - Target width
  * @param {number} targetHeight - Target height
  * @param {number} centroids - Number of color clusters per tile
+ * @param {Object} [options] - Grid alignment, alpha handling and clustering
+ * @param {number} [options.offsetX=0] - Source x where the first tile starts
+ * @param {number} [options.offsetY=0] - Source y where the first tile starts
+ * @param {number} [options.cellWidth] - Tile width (defaults to fill the image)
+ * @param {number} [options.cellHeight] - Tile height (defaults to fill the image)
+ * @param {number} [options.alphaThreshold=128] - See kCentroidCells
+ * @param {string} [options.metric='rgb'] - See kCentroidCells
+ * @param {number} [options.seed=1] - See kCentroidCells
  * @returns {ImageData} Downscaled image data
  */
-export function kCentroid(imageData, targetWidth, targetHeight, centroids = 2) {
-    const { data: srcData, width: srcWidth, height: srcHeight } = imageData;
+export function kCentroid(imageData, targetWidth, targetHeight, centroids = 2, options = {}) {
+    const { width: srcWidth, height: srcHeight } = imageData;
+    const { offsetX = 0, offsetY = 0 } = options;
+
+    // Calculate scaling factors
+    const wFactor = options.cellWidth || (srcWidth - offsetX) / targetWidth;
+    const hFactor = options.cellHeight || (srcHeight - offsetY) / targetHeight;
+
+    const columns = uniformBoundaries(targetWidth, offsetX, wFactor, srcWidth);
+    const rows = uniformBoundaries(targetHeight, offsetY, hFactor, srcHeight);
+
+    return kCentroidCells(imageData, columns, rows, centroids, options);
+}
+
+/**
+ * Downscale image over an explicit (possibly irregular) grid
+ * Each output pixel is the dominant color of one cell. Cells that are mostly
+ * transparent become fully transparent; in the others only opaque pixels are
+ * clustered, so semi-transparent fringes snap to a solid color.
+ * @param {ImageData} imageData - Source image data
+ * @param {Array<number>} columns - Column boundaries in source x
+ * @param {Array<number>} rows - Row boundaries in source y
+ * @param {number} centroids - Number of color clusters per tile
+ * @param {Object} [options] - Alpha handling and clustering
+ * @param {number} [options.alphaThreshold=128] - Minimum alpha for a pixel to
+ *        count as opaque (0 treats everything as opaque)
+ * @param {string} [options.metric='rgb'] - Color metric used for clustering
+ * @param {number} [options.seed=1] - Seed for k-means++ initialization
+ * @param {Function} [options.onProgress] - Called with the fraction of rows done
+ * @returns {ImageData} Downscaled image data
+ */
+export function kCentroidCells(imageData, columns, rows, centroids = 2, options = {}) {
+    const { data: srcData, width: srcWidth } = imageData;
+    const { alphaThreshold = 128, seed = 1, onProgress } = options;
+    const metric = getColorMetric(options.metric);
+    const targetWidth = columns.length - 1;
+    const targetHeight = rows.length - 1;
+
+    // Pixels as packed 0xRRGGBB, so a tile's colors can be read in one go
+    const src32 = new Uint32Array(srcData.buffer, srcData.byteOffset, srcData.length / 4);
+    const littleEndian = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+    // Scratch buffers sized for the largest tile, reused for every tile
+    let maxCellWidth = 0;
+    let maxCellHeight = 0;
+    for (let i = 0; i < targetWidth; i++) {
+        maxCellWidth = Math.max(maxCellWidth, columns[i + 1] - columns[i]);
+    }
+    for (let i = 0; i < targetHeight; i++) {
+        maxCellHeight = Math.max(maxCellHeight, rows[i + 1] - rows[i]);
+    }
+    const tile = createTileBuffers(maxCellWidth * maxCellHeight, centroids, metric);
+    const random = createRandom(seed);
 
     // Create output image data
     const outputData = new Uint8ClampedArray(targetWidth * targetHeight * 4);
 
-    // Calculate scaling factors
-    const wFactor = srcWidth / targetWidth;
-    const hFactor = srcHeight / targetHeight;
-
     // Process each tile
     for (let ty = 0; ty < targetHeight; ty++) {
+        if (onProgress) onProgress(ty / targetHeight);
+
         for (let tx = 0; tx < targetWidth; tx++) {
-            // Calculate tile bounds in source image
-            const x1 = Math.floor(tx * wFactor);
-            const y1 = Math.floor(ty * hFactor);
-            const x2 = Math.min(Math.floor((tx + 1) * wFactor), srcWidth);
-            const y2 = Math.min(Math.floor((ty + 1) * hFactor), srcHeight);
-
-            // Extract colors from tile
-            const tileColors = [];
+            // Tile bounds in source image
+            const x1 = columns[tx];
+            const y1 = rows[ty];
+            const x2 = columns[tx + 1];
+            const y2 = rows[ty + 1];
+
+            // Extract opaque colors from tile
+            let count = 0;
             for (let y = y1; y < y2; y++) {
                 for (let x = x1; x < x2; x++) {
-                    const idx = (y * srcWidth + x) * 4;
-                    tileColors.push([
-                        srcData[idx],
-                        srcData[idx + 1],
-                        srcData[idx + 2]
-                    ]);
+                    const pixel = src32[y * srcWidth + x];
+                    const alpha = littleEndian ? pixel >>> 24 : pixel & 0xff;
+                    if (alpha < alphaThreshold) continue;
+                    tile.keys[count++] = littleEndian
+                        ? ((pixel & 0xff) << 16) | (pixel & 0xff00) | ((pixel >>> 16) & 0xff)
+                        : pixel >>> 8;
                 }
             }
 
-            if (tileColors.length === 0) continue;
+            // Mostly transparent tiles stay fully transparent (output is zeroed)
+            const tileSize = (x2 - x1) * (y2 - y1);
+            if (count === 0 || count * 2 < tileSize) continue;
 
-            // Simple k-means: find dominant color by clustering
-            const dominantColor = findDominantColor(tileColors, centroids);
+            // k-means over the tile's distinct colors
+            collectUniqueColors(tile, count);
+            const dominant = findDominantColor(tile, centroids, random);
 
             // Set pixel in output
             const outIdx = (ty * targetWidth + tx) * 4;
-            outputData[outIdx] = dominantColor[0];
-            outputData[outIdx + 1] = dominantColor[1];
-            outputData[outIdx + 2] = dominantColor[2];
+            outputData[outIdx] = tile.centroids[dominant * 3];
+            outputData[outIdx + 1] = tile.centroids[dominant * 3 + 1];
+            outputData[outIdx + 2] = tile.centroids[dominant * 3 + 2];
             outputData[outIdx + 3] = 255;
         }
     }
 
-    return new ImageData(outputData, targetWidth, targetHeight);
+    return createImageData(outputData, targetWidth, targetHeight);
 }
 
+// Size of the per-call cache of metric-space colors (2^bits slots)
+const POINT_CACHE_BITS = 16;
+const POINT_CACHE_SIZE = 1 << POINT_CACHE_BITS;
+
 /**
- * Find the most dominant color in a set of colors using simplified k-means
- * @param {Array<Array<number>>} colors - Array of [r, g, b] colors
+ * Allocate the scratch buffers used to cluster one tile
+ * Colors in metric space are stored flat, three values per color. Metrics
+ * with channel weights (rgb, weighted) get inline point conversion and
+ * distance; the others go through metric.toPoint and metric.distance.
+ * @param {number} capacity - Maximum number of pixels in a tile
  * @param {number} k - Number of clusters
- * @returns {Array<number>} Dominant color [r, g, b]
+ * @param {Object} metric - Resolved color metric
+ * @returns {Object} Tile buffers
  */
-function findDominantColor(colors, k = 2) {
-    if (colors.length === 0) return [0, 0, 0];
-    if (colors.length === 1) return colors[0];
+function createTileBuffers(capacity, k, metric) {
+    const tile = {
+        keys: new Uint32Array(capacity), // Packed colors of the tile's pixels
+        uniqueCount: 0,
+        colors: new Uint32Array(capacity), // Distinct packed colors
+        weights: new Uint32Array(capacity), // Pixel count per distinct color
+        points: new Float64Array(capacity * 3), // Distinct colors in metric space
+        labels: new Uint8Array(capacity), // Cluster of each distinct color
+        minDist: new Float64Array(capacity), // k-means++ seeding distances
+        centroids: new Float64Array(k * 3), // Cluster centers in RGB
+        centroidPoints: new Float64Array(k * 3), // Cluster centers in metric space
+        sums: new Float64Array(k * 3),
+        sizes: new Float64Array(k),
+        // Direct-mapped cache of metric-space colors, shared across tiles
+        // (only for metrics converted through toPoint)
+        cacheKeys: null,
+        cachePoints: null
+    };
+
+    if (metric.channelWeights) {
+        const [w0, w1, w2] = metric.channelWeights;
 
-    // Initialize centroids with random colors from the set
-    const centroids = [];
-    const step = Math.floor(colors.length / k);
-    for (let i = 0; i < k && i * step < colors.length; i++) {
-        centroids.push([...colors[i * step]]);
+        /**
+         * Store an RGB color as a flat metric-space point
+         * @param {Float64Array} target - Point array
+         * @param {number} i - Index of the point
+         * @param {number} r - Red
+         * @param {number} g - Green
+         * @param {number} b - Blue
+         */
+        tile.setPoint = (target, i, r, g, b) => {
+            target[i * 3] = r * w0;
+            target[i * 3 + 1] = g * w1;
+            target[i * 3 + 2] = b * w2;
+        };
+
+        /**
+         * Squared Euclidean distance between two flat points
+         * @param {Float64Array} a - First point array
+         * @param {number} i - Index of the first point
+         * @param {Float64Array} b - Second point array
+         * @param {number} j - Index of the second point
+         * @returns {number} Squared distance
+         */
+        tile.distance = (a, i, b, j) => {
+            const d0 = a[i * 3] - b[j * 3];
+            const d1 = a[i * 3 + 1] - b[j * 3 + 1];
+            const d2 = a[i * 3 + 2] - b[j * 3 + 2];
+            return d0 * d0 + d1 * d1 + d2 * d2;
+        };
+        return tile;
     }
 
-    // Run k-means iterations (limited to 5 for performance)
-    const maxIterations = 5;
-    for (let iter = 0; iter < maxIterations; iter++) {
-        // Assign colors to nearest centroid
-        const clusters = Array.from({ length: k }, () => []);
+    // Other metrics (oklab, ciede2000): same signatures, through the metric
+    const p1 = [0, 0, 0];
+    const p2 = [0, 0, 0];
+    tile.cacheKeys = new Int32Array(POINT_CACHE_SIZE).fill(-1);
+    tile.cachePoints = new Float64Array(POINT_CACHE_SIZE * 3);
 
-        for (const color of colors) {
-            let minDist = Infinity;
-            let nearestCluster = 0;
+    tile.setPoint = (target, i, r, g, b) => metric.toPoint(r, g, b, target, i * 3);
 
-            for (let i = 0; i < centroids.length; i++) {
-                const dist = colorDistance(color, centroids[i]);
-                if (dist < minDist) {
-                    minDist = dist;
-                    nearestCluster = i;
-                }
-            }
+    tile.distance = (a, i, b, j) => {
+        p1[0] = a[i * 3];
+        p1[1] = a[i * 3 + 1];
+        p1[2] = a[i * 3 + 2];
+        p2[0] = b[j * 3];
+        p2[1] = b[j * 3 + 1];
+        p2[2] = b[j * 3 + 2];
+        return metric.distance(p1, p2);
+    };
+    return tile;
+}
 
-            clusters[nearestCluster].push(color);
+/**
+ * Reduce the tile's pixels to distinct colors with pixel counts
+ * @param {Object} tile - Tile buffers with tile.keys filled
+ * @param {number} count - Number of pixels in tile.keys
+ */
+function collectUniqueColors(tile, count) {
+    const { keys, colors, weights, points, cacheKeys, cachePoints, setPoint } = tile;
+    keys.subarray(0, count).sort();
+
+    let unique = 0;
+    for (let i = 0; i < count; i++) {
+        const key = keys[i];
+        if (unique > 0 && colors[unique - 1] === key) {
+            weights[unique - 1]++;
+            continue;
         }
 
-        // Update centroids
-        for (let i = 0; i < k; i++) {
-            if (clusters[i].length > 0) {
-                centroids[i] = averageColor(clusters[i]);
+        colors[unique] = key;
+        weights[unique] = 1;
+
+        if (cacheKeys) {
+            // Converting is slow for these metrics, so remember recent colors
+            const slot = Math.imul(key, 0x9e3779b1) >>> (32 - POINT_CACHE_BITS);
+            if (cacheKeys[slot] !== key) {
+                setPoint(cachePoints, slot, key >>> 16, (key >>> 8) & 0xff, key & 0xff);
+                cacheKeys[slot] = key;
             }
+            points[unique * 3] = cachePoints[slot * 3];
+            points[unique * 3 + 1] = cachePoints[slot * 3 + 1];
+            points[unique * 3 + 2] = cachePoints[slot * 3 + 2];
+        } else {
+            setPoint(points, unique, key >>> 16, (key >>> 8) & 0xff, key & 0xff);
         }
+        unique++;
     }
 
-    // Find the cluster with most colors
-    const clusters = Array.from({ length: k }, () => []);
-    for (const color of colors) {
-        let minDist = Infinity;
-        let nearestCluster = 0;
+    tile.uniqueCount = unique;
+}
 
-        for (let i = 0; i < centroids.length; i++) {
-            const dist = colorDistance(color, centroids[i]);
-            if (dist < minDist) {
-                minDist = dist;
-                nearestCluster = i;
+/**
+ * Find the most dominant color of a tile using weighted k-means
+ * Centroids are seeded with k-means++ (deterministic for a given random
+ * source), colors are assigned with the metric and centroids stay RGB.
+ * The result is left in tile.centroids, rounded to integers.
+ * @param {Object} tile - Tile buffers with distinct colors collected
+ * @param {number} k - Number of clusters
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number} Index of the largest cluster in tile.centroids
+ */
+function findDominantColor(tile, k, random) {
+    const { colors, weights, points, labels, minDist, centroids, centroidPoints, sums, sizes, distance, setPoint } = tile;
+    const n = tile.uniqueCount;
+
+    // Start a cluster at one of the tile's colors
+    const seedCluster = (c, i) => {
+        const key = colors[i];
+        centroids[c * 3] = key >>> 16;
+        centroids[c * 3 + 1] = (key >>> 8) & 0xff;
+        centroids[c * 3 + 2] = key & 0xff;
+        centroidPoints[c * 3] = points[i * 3];
+        centroidPoints[c * 3 + 1] = points[i * 3 + 1];
+        centroidPoints[c * 3 + 2] = points[i * 3 + 2];
+    };
+
+    // First center: the most common color
+    let first = 0;
+    for (let i = 1; i < n; i++) {
+        if (weights[i] > weights[first]) first = i;
+    }
+    seedCluster(0, first);
+
+    // Remaining centers: picked with probability proportional to the
+    // weighted squared distance from the nearest center chosen so far
+    let clusterCount = 1;
+    for (let i = 0; i < n; i++) {
+        minDist[i] = distance(points, i, points, first);
+    }
+    while (clusterCount < k) {
+        let total = 0;
+        for (let i = 0; i < n; i++) total += weights[i] * minDist[i];
+        if (total === 0) break; // Fewer distinct colors than clusters
+
+        let target = random() * total;
+        let pick = n - 1;
+        for (let i = 0; i < n; i++) {
+            target -= weights[i] * minDist[i];
+            if (target < 0 && minDist[i] > 0) {
+                pick = i;
+                break;
             }
         }
 
-        clusters[nearestCluster].push(color);
+        seedCluster(clusterCount, pick);
+        clusterCount++;
+
+        for (let i = 0; i < n; i++) {
+            minDist[i] = Math.min(minDist[i], distance(points, i, points, pick));
+        }
+    }
+
+    // Run k-means iterations (limited to 5 for performance)
+    const maxIterations = 5;
+    for (let iter = 0; ; iter++) {
+        // Assign colors to nearest centroid
+        let changed = false;
+        sizes.fill(0);
+        for (let i = 0; i < n; i++) {
+            let nearest = 0;
+            let nearestDist = Infinity;
+            for (let c = 0; c < clusterCount; c++) {
+                const dist = distance(points, i, centroidPoints, c);
+                if (dist < nearestDist) {
+                    nearestDist = dist;
+                    nearest = c;
+                }
+            }
+            if (iter === 0 || labels[i] !== nearest) changed = true;
+            labels[i] = nearest;
+            sizes[nearest] += weights[i];
+        }
+
+        if (!changed || iter === maxIterations) break;
+
+        // Update centroids to the weighted mean of their colors
+        sums.fill(0);
+        for (let i = 0; i < n; i++) {
+            const c = labels[i] * 3;
+            const key = colors[i];
+            const w = weights[i];
+            sums[c] += (key >>> 16) * w;
+            sums[c + 1] += ((key >>> 8) & 0xff) * w;
+            sums[c + 2] += (key & 0xff) * w;
+        }
+        for (let c = 0; c < clusterCount; c++) {
+            if (sizes[c] === 0) continue;
+            for (let j = c * 3; j < c * 3 + 3; j++) {
+                centroids[j] = sums[j] / sizes[c];
+            }
+            setPoint(centroidPoints, c, centroids[c * 3], centroids[c * 3 + 1], centroids[c * 3 + 2]);
+        }
     }
 
     // Return centroid of largest cluster
     let largestCluster = 0;
-    let maxSize = 0;
-    for (let i = 0; i < k; i++) {
-        if (clusters[i].length > maxSize) {
-            maxSize = clusters[i].length;
-            largestCluster = i;
-        }
+    for (let c = 1; c < clusterCount; c++) {
+        if (sizes[c] > sizes[largestCluster]) largestCluster = c;
     }
 
-    return centroids[largestCluster].map(v => Math.round(v));
+    for (let j = largestCluster * 3; j < largestCluster * 3 + 3; j++) {
+        centroids[j] = Math.round(centroids[j]);
+    }
+    return largestCluster;
 }
 
 /**
- * Calculate Euclidean distance between two colors
- * @param {Array<number>} c1 - First color [r, g, b]
- * @param {Array<number>} c2 - Second color [r, g, b]
- * @returns {number} Distance
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
  */
-function colorDistance(c1, c2) {
-    const dr = c1[0] - c2[0];
-    const dg = c1[1] - c2[1];
-    const db = c1[2] - c2[2];
-    return Math.sqrt(dr * dr + dg * dg + db * db);
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
 /**
- * Calculate average color from array of colors
- * @param {Array<Array<number>>} colors - Array of [r, g, b] colors
- * @returns {Array<number>} Average color [r, g, b]
+ * Difference between two RGBA pixels
+ * Colors are weighted by their alpha so that the invisible RGB of transparent
+ * pixels doesn't create edges, while alpha changes themselves still count
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} idx1 - Byte index of the first pixel
+ * @param {number} idx2 - Byte index of the second pixel
+ * @returns {number} Distance
  */
-function averageColor(colors) {
-    if (colors.length === 0) return [0, 0, 0];
+function pixelDifference(data, idx1, idx2) {
+    const a1 = data[idx1 + 3] / 255;
+    const a2 = data[idx2 + 3] / 255;
 
-    let sumR = 0, sumG = 0, sumB = 0;
-    for (const [r, g, b] of colors) {
-        sumR += r;
-        sumG += g;
-        sumB += b;
-    }
+    const dr = data[idx1] * a1 - data[idx2] * a2;
+    const dg = data[idx1 + 1] * a1 - data[idx2 + 1] * a2;
+    const db = data[idx1 + 2] * a1 - data[idx2 + 2] * a2;
+    const da = data[idx1 + 3] - data[idx2 + 3];
 
-    const n = colors.length;
-    return [sumR / n, sumG / n, sumB / n];
+    return Math.sqrt(dr * dr + dg * dg + db * db + da * da);
 }
 
 /**
  * Detect pixel scaling factor in AI-generated pixel art
  * @param {ImageData} imageData - Source image data
- * @returns {{downscaled: ImageData, hFactor: number, vFactor: number}}
- *          Downscaled image and scaling factors
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.grid='uniform'] - 'uniform' for one fixed cell size,
+ *        'adaptive' to fit each column/row boundary to the image
+ * @param {number} [options.alphaThreshold=128] - Minimum alpha for a pixel to
+ *        count as opaque when downscaling (0 treats everything as opaque)
+ * @param {string} [options.metric='rgb'] - Color metric for tile clustering
+ * @param {string} [options.method='peaks'] - How to measure the cell size:
+ *        'peaks' (median spacing of the strong edge peaks, in whole pixels) or
+ *        'fft' (fundamental frequency of the edge profiles, which also finds
+ *        fractional cell sizes exactly); see DETECTION_METHODS
+ * @param {Object} [options.target] - Exact output size, e.g. for sprites
+ * @param {number} options.target.width - Output width in pixels
+ * @param {number} options.target.height - Output height in pixels
+ * @param {string} [options.target.fit='snap'] - 'snap' adjusts the cell size
+ *        so exactly that many cells fit (uniform grid); 'crop-pad' keeps the
+ *        detected grid and crops or pads the result
+ * @param {string} [options.target.anchor='center'] - Where to crop or pad,
+ *        one of the ANCHORS keys
+ * @param {Function} [options.onProgress] - Called with (stage, fraction) as
+ *        detection moves through 'edges', 'grid' and 'downscale'
+ * @returns {{downscaled: ImageData, hFactor: number, vFactor: number,
+ *            offsetX: number, offsetY: number,
+ *            columns: Array<number>, rows: Array<number>, method: string,
+ *            confidence: number, isNative: boolean, candidates: Array<Object>}}
+ *          Downscaled image, scaling factors (after snapping), grid origin,
+ *          cell boundaries, the method used, and how sure the detection is
+ *          (see scoreDetection). Native images get factors of 1 and keep
+ *          their size; confidence still describes the grid that was measured.
  */
-export function pixelDetect(imageData) {
+export function pixelDetect(imageData, options = {}) {
+    const { grid = 'uniform', alphaThreshold = 128, metric = 'rgb', target = null, method = 'peaks' } = options;
+    const { onProgress = () => {} } = options;
     const { data, width, height } = imageData;
 
+    onProgress('edges', 0);
+
     // Compute horizontal differences between pixels
     const hdiff = new Float32Array(width - 1);
     for (let x = 0; x < width - 1; x++) {
@@ -223,11 +1019,7 @@ export function pixelDetect(imageData) {
             const idx1 = (y * width + x) * 4;
             const idx2 = (y * width + x + 1) * 4;
 
-            const dr = data[idx1] - data[idx2];
-            const dg = data[idx1 + 1] - data[idx2 + 1];
-            const db = data[idx1 + 2] - data[idx2 + 2];
-
-            sum += Math.sqrt(dr * dr + dg * dg + db * db);
+            sum += pixelDifference(data, idx1, idx2);
         }
         hdiff[x] = sum;
     }
@@ -240,44 +1032,96 @@ export function pixelDetect(imageData) {
             const idx1 = (y * width + x) * 4;
             const idx2 = ((y + 1) * width + x) * 4;
 
-            const dr = data[idx1] - data[idx2];
-            const dg = data[idx1 + 1] - data[idx2 + 1];
-            const db = data[idx1 + 2] - data[idx2 + 2];
-
-            sum += Math.sqrt(dr * dr + dg * dg + db * db);
+            sum += pixelDifference(data, idx1, idx2);
         }
         vdiff[y] = sum;
     }
 
-    // Find peaks in the differences
+    onProgress('grid', 0);
+
+    // Find peaks in the differences (the adaptive grid snaps to them)
     const hPeaks = findPeaks(hdiff, 1, 0.0);
     const vPeaks = findPeaks(vdiff, 1, 0.0);
 
-    // Compute spacing between peaks
-    const hSpacing = [];
-    for (let i = 1; i < hPeaks.length; i++) {
-        hSpacing.push(hPeaks[i] - hPeaks[i - 1]);
+    let hMedian, vMedian;
+    if (method === 'fft') {
+        // Cell size from the fundamental frequency of the edge profiles
+        hMedian = fundamentalPeriod(hdiff) ?? bestSpacing(hdiff);
+        vMedian = fundamentalPeriod(vdiff) ?? bestSpacing(vdiff);
+    } else {
+        // Compute spacing between the peaks that stand out from the noise
+        const hStrong = strongPeaks(hdiff, hPeaks);
+        const hSpacing = [];
+        for (let i = 1; i < hStrong.length; i++) {
+            hSpacing.push(hStrong[i] - hStrong[i - 1]);
+        }
+
+        const vStrong = strongPeaks(vdiff, vPeaks);
+        const vSpacing = [];
+        for (let i = 1; i < vStrong.length; i++) {
+            vSpacing.push(vStrong[i] - vStrong[i - 1]);
+        }
+
+        // Calculate median spacing (a flat axis has no spacings to measure)
+        hMedian = median(hSpacing) ?? bestSpacing(hdiff);
+        vMedian = median(vSpacing) ?? bestSpacing(vdiff);
     }
 
-    const vSpacing = [];
-    for (let i = 1; i < vPeaks.length; i++) {
-        vSpacing.push(vPeaks[i] - vPeaks[i - 1]);
+    // Pixel art that is already at one pixel per cell keeps its size
+    const detection = scoreDetection(imageData, hdiff, vdiff, hMedian, vMedian);
+    if (detection.isNative) {
+        hMedian = 1;
+        vMedian = 1;
     }
 
-    // Calculate median spacing
-    const hMedian = median(hSpacing);
-    const vMedian = median(vSpacing);
+    // Find where the grid starts
+    const offsetX = detectPhase(hdiff, hMedian);
+    const offsetY = detectPhase(vdiff, vMedian);
 
-    // Calculate new dimensions
-    const newWidth = Math.max(1, Math.round(width / hMedian));
-    const newHeight = Math.max(1, Math.round(height / vMedian));
+    let columns, rows;
+    if (grid === 'adaptive') {
+        // Follow the actual edges so drifting cell sizes don't accumulate
+        columns = fitBoundaries(hdiff, hPeaks, hMedian, offsetX);
+        rows = fitBoundaries(vdiff, vPeaks, vMedian, offsetY);
+    } else {
+        // Calculate new dimensions (whole cells only)
+        const newWidth = countCells(width, offsetX, hMedian);
+        const newHeight = countCells(height, offsetY, vMedian);
+        columns = uniformBoundaries(newWidth, offsetX, hMedian, width);
+        rows = uniformBoundaries(newHeight, offsetY, vMedian, height);
+    }
 
-    // Downscale using kCentroid
-    const downscaled = kCentroid(imageData, newWidth, newHeight, 2);
+    // Snap the cell size so the target resolution fits exactly
+    let hFactor = hMedian;
+    let vFactor = vMedian;
+    if (target && target.fit !== 'crop-pad') {
+        const snappedX = snapBoundaries(width, offsetX, target.width);
+        const snappedY = snapBoundaries(height, offsetY, target.height);
+        if (snappedX) ({ size: hFactor, boundaries: columns } = snappedX);
+        if (snappedY) ({ size: vFactor, boundaries: rows } = snappedY);
+    }
+
+    // Downscale each grid cell to its dominant color
+    let downscaled = kCentroidCells(imageData, columns, rows, 2, {
+        alphaThreshold,
+        metric,
+        onProgress: (fraction) => onProgress('downscale', fraction)
+    });
+
+    // Crop or pad whatever is still off (always, in 'crop-pad' mode)
+    if (target) {
+        downscaled = cropOrPad(downscaled, target.width, target.height, target.anchor);
+    }
 
     return {
         downscaled,
-        hFactor: hMedian,
-        vFactor: vMedian
+        hFactor,
+        vFactor,
+        offsetX,
+        offsetY,
+        columns,
+        rows,
+        method,
+        ...detection
     };
 }
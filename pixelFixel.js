@@ -0,0 +1,146 @@
+/**
+ * PixelFixel library entry point
+ * Runs the whole fix (grid detection, downscaling, palette, upscaling) on a
+ * plain RGBA buffer. Needs no DOM, so it works the same in browsers, workers
+ * and Node.
+ */
+
+import { runDetection, runGrid, runSpriteSheet, runAnimation, runPalette } from './pipeline.js';
+import { upscale } from './imageExport.js';
+import { getPalette } from './presets.js';
+import { toImageData } from './imageData.js';
+
+export { createImageData, toImageData } from './imageData.js';
+
+/**
+ * Fix AI-generated pixel art
+ * @param {{data: ArrayLike<number>, width: number, height: number}} input - RGBA
+ *        image: ImageData, or any byte array with its size
+ * @param {Object} [options] - Fix options
+ * @param {string} [options.grid='uniform'] - 'uniform' or 'adaptive' grid detection
+ * @param {string} [options.method='peaks'] - Cell size detection method (a
+ *        DETECTION_METHODS key)
+ * @param {number} [options.alphaThreshold=128] - Alpha cutoff for transparent pixels
+ * @param {string} [options.metric='rgb'] - Color metric (a COLOR_METRICS key)
+ * @param {Object} [options.target] - Exact output size (see pixelDetect)
+ * @param {Object} [options.sheet] - Sprite sheet slicing (see runSpriteSheet)
+ * @param {number} [options.frameCount] - Number of animation frames stacked
+ *        vertically in the input; they are fixed on one shared grid
+ * @param {number} [options.hFactor] - Manual cell width; skips detection
+ * @param {number} [options.vFactor] - Manual cell height (defaults to hFactor)
+ * @param {number} [options.offsetX=0] - Manual grid origin
+ * @param {number} [options.offsetY=0] - Manual grid origin
+ * @param {string|Array<Array<number>>} [options.palette] - Preset palette key
+ *        or [r, g, b] colors to map to
+ * @param {number|string} [options.colors='auto'] - Color count to quantize to
+ *        when no palette is given, or 'auto'
+ * @param {Object} [options.background] - Background removal (see removeBackground)
+ * @param {string} [options.quantizer] - Quantizer (a QUANTIZERS key)
+ * @param {boolean} [options.refine] - Refine quantized palettes with k-means
+ * @param {string} [options.dither] - Dithering method (a DITHER_METHODS key)
+ * @param {number} [options.ditherStrength] - Dithering strength, 0 to 1
+ * @param {number} [options.scale=1] - Integer upscale of the result
+ * @param {Function} [options.onProgress] - (stage, fraction) progress callback
+ * @returns {{imageData: ImageData, palette: Array<Array<number>>|null,
+ *            colorCount: number, hFactor: number, vFactor: number,
+ *            offsetX: number, offsetY: number, width: number, height: number,
+ *            method?: string, confidence?: number, isNative?: boolean,
+ *            candidates?: Array<Object>,
+ *            detectTime: number, paletteTime: number}}
+ *          Fixed image (at the requested scale), its palette, the grid it was
+ *          fixed on, the size at one pixel per cell, how sure the detection is
+ *          (automatic detection of single images only; see pixelDetect) and
+ *          stage times in ms
+ * @throws {Error} If the input or palette is invalid
+ */
+export function fixPixelArt(input, options = {}) {
+    const { scale = 1, onProgress = () => {} } = options;
+    const imageData = toImageData(input);
+
+    if (!Number.isInteger(scale) || scale < 1) {
+        throw new Error('Scale must be a positive integer');
+    }
+
+    const detectOptions = {
+        grid: options.grid,
+        method: options.method,
+        alphaThreshold: options.alphaThreshold,
+        metric: options.metric,
+        target: options.target
+    };
+    const manualGrid = options.hFactor
+        ? {
+            hFactor: options.hFactor,
+            vFactor: options.vFactor || options.hFactor,
+            offsetX: options.offsetX || 0,
+            offsetY: options.offsetY || 0
+        }
+        : null;
+
+    // Same stage order as the app: one detection stage, then the palette
+    let detection;
+    if (options.frameCount > 1) {
+        detection = runAnimation(imageData, { ...detectOptions, ...manualGrid, frameCount: options.frameCount }, onProgress);
+    } else if (options.sheet && options.sheet.mode !== 'off') {
+        detection = runSpriteSheet(imageData, { ...detectOptions, sheet: options.sheet }, onProgress);
+    } else if (manualGrid) {
+        detection = runGrid(imageData, { ...detectOptions, ...manualGrid }, onProgress);
+    } else {
+        detection = runDetection(imageData, detectOptions, onProgress);
+    }
+
+    const result = runPalette(detection.downscaled, paletteOptions(options), onProgress);
+
+    return {
+        imageData: upscale(result.imageData, scale),
+        palette: result.palette,
+        colorCount: result.colorCount,
+        hFactor: detection.hFactor,
+        vFactor: detection.vFactor,
+        offsetX: detection.offsetX,
+        offsetY: detection.offsetY,
+        width: result.imageData.width,
+        height: result.imageData.height,
+        method: detection.method,
+        confidence: detection.confidence,
+        isNative: detection.isNative,
+        candidates: detection.candidates,
+        detectTime: detection.detectTime,
+        paletteTime: result.paletteTime
+    };
+}
+
+/**
+ * Build runPalette options from fixPixelArt options
+ * @param {Object} options - fixPixelArt options
+ * @returns {Object} Palette stage options
+ * @throws {Error} If the palette or color count is invalid
+ */
+function paletteOptions(options) {
+    const { palette, colors = 'auto' } = options;
+    const stageOptions = {
+        background: options.background,
+        metric: options.metric,
+        quantizer: options.quantizer,
+        refine: options.refine,
+        dither: options.dither,
+        ditherStrength: options.ditherStrength
+    };
+
+    if (typeof palette === 'string') {
+        const presetColors = getPalette(palette);
+        if (!presetColors) throw new Error(`Unknown palette: ${palette}`);
+        return { ...stageOptions, mode: 'palette', palette: presetColors };
+    }
+    if (Array.isArray(palette)) {
+        if (palette.length === 0) throw new Error('Palette has no colors');
+        return { ...stageOptions, mode: 'palette', palette };
+    }
+    if (colors === 'auto') {
+        return { ...stageOptions, mode: 'auto' };
+    }
+    if (!Number.isInteger(colors) || colors < 2 || colors > 256) {
+        throw new Error('Color count must be \'auto\' or an integer from 2 to 256');
+    }
+    return { ...stageOptions, mode: 'count', colors };
+}
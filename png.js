@@ -0,0 +1,633 @@
+/**
+ * Pure JavaScript PNG encoding and decoding
+ * Writes palette-based (indexed) PNGs with PLTE/tRNS chunks and animated
+ * PNGs; reads any standard PNG or APNG
+ */
+
+import { crc32, zlibCompress, zlibDecompress } from './zlib.js';
+import { createImageData } from './imageData.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Build a PNG chunk (length, type, data, CRC)
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ */
+function makeChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const output = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+/**
+ * Build the IHDR chunk data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} bitDepth - Bits per sample
+ * @param {number} colorType - PNG color type
+ * @returns {Uint8Array} IHDR data
+ */
+function headerData(width, height, bitDepth, colorType) {
+    const data = new Uint8Array(13);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    data[8] = bitDepth;
+    data[9] = colorType;
+    // Compression, filter and interlace methods are all 0
+    return data;
+}
+
+/**
+ * Work out the indexed palette for an image
+ * The given palette keeps its order and indices (duplicates map to their first
+ * entry). Fully transparent pixels share one entry right after the palette,
+ * and any color not in the palette is appended after that.
+ * @param {ImageData|Array<ImageData>} images - Source image data, or several
+ *        images (e.g. animation frames) to share one palette
+ * @param {Array<Array<number>>} palette - Ordered [r, g, b] colors
+ * @returns {{entries: Array<Array<number>>, indices: Uint8Array}}
+ *          RGBA palette entries and one index per pixel (of all images in turn)
+ * @throws {Error} If the images need more than 256 entries
+ */
+export function buildIndexedPalette(images, palette = []) {
+    const imageList = [].concat(images);
+    const entries = [];
+    const lookup = new Map();
+    const indices = new Uint8Array(imageList.reduce((sum, image) => sum + image.width * image.height, 0));
+
+    const addEntry = (r, g, b, a) => {
+        const key = a === 0 ? -1 : ((a << 24) | (r << 16) | (g << 8) | b) >>> 0;
+        if (!lookup.has(key)) {
+            lookup.set(key, entries.length);
+            entries.push(a === 0 ? [0, 0, 0, 0] : [r, g, b, a]);
+        }
+        return lookup.get(key);
+    };
+
+    // Palette entries in their given order, duplicates included
+    for (const [r, g, b] of palette) {
+        const key = ((255 << 24) | (r << 16) | (g << 8) | b) >>> 0;
+        if (!lookup.has(key)) lookup.set(key, entries.length);
+        entries.push([r, g, b, 255]);
+    }
+
+    // Transparency goes after the palette, so palette index i stays index i
+    const hasTransparency = imageList.some(({ data }) => {
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] === 0) return true;
+        }
+        return false;
+    });
+    if (hasTransparency) addEntry(0, 0, 0, 0);
+
+    let p = 0;
+    for (const { data } of imageList) {
+        for (let i = 0; i < data.length; i += 4) {
+            indices[p++] = addEntry(data[i], data[i + 1], data[i + 2], data[i + 3]);
+        }
+    }
+
+    if (entries.length > 256) {
+        throw new Error('Image needs more than 256 palette entries and cannot be saved as an indexed PNG');
+    }
+
+    return { entries, indices };
+}
+
+/**
+ * Choose the smallest PNG bit depth (1, 2, 4 or 8) that holds a palette
+ * @param {number} entryCount - Number of palette entries
+ * @returns {number} Bit depth
+ */
+function indexedBitDepth(entryCount) {
+    return entryCount <= 2 ? 1 : entryCount <= 4 ? 2 : entryCount <= 16 ? 4 : 8;
+}
+
+/**
+ * Pack palette indices into unfiltered PNG scanlines
+ * @param {Uint8Array} indices - One index per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} bitDepth - Bits per index
+ * @returns {Uint8Array} Scanlines, each a filter byte (0 = none) and packed indices
+ */
+function indexedScanlines(indices, width, height, bitDepth) {
+    const pixelsPerByte = 8 / bitDepth;
+    const rowBytes = Math.ceil(width / pixelsPerByte);
+    const raw = new Uint8Array((rowBytes + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (rowBytes + 1) + 1;
+        for (let x = 0; x < width; x++) {
+            const index = indices[y * width + x];
+            const byte = rowStart + Math.floor(x / pixelsPerByte);
+            const shift = 8 - bitDepth * (x % pixelsPerByte + 1);
+            raw[byte] |= index << shift;
+        }
+    }
+
+    return raw;
+}
+
+/**
+ * Build the PLTE and (if needed) tRNS chunks for palette entries
+ * @param {Array<Array<number>>} entries - RGBA palette entries
+ * @returns {Array<Uint8Array>} Chunks
+ */
+function paletteChunks(entries) {
+    const plte = new Uint8Array(entries.length * 3);
+    entries.forEach(([r, g, b], i) => plte.set([r, g, b], i * 3));
+
+    // tRNS only needs to run up to the last entry that isn't opaque
+    let alphaCount = 0;
+    entries.forEach(([, , , a], i) => {
+        if (a < 255) alphaCount = i + 1;
+    });
+    const trns = new Uint8Array(alphaCount);
+    for (let i = 0; i < alphaCount; i++) trns[i] = entries[i][3];
+
+    const chunks = [makeChunk('PLTE', plte)];
+    if (alphaCount > 0) chunks.push(makeChunk('tRNS', trns));
+    return chunks;
+}
+
+/**
+ * Encode an image as an indexed PNG
+ * Uses the smallest bit depth (1, 2, 4 or 8) that holds the palette
+ * @param {ImageData} imageData - Source image data
+ * @param {Array<Array<number>>} [palette] - Ordered [r, g, b] colors to use as
+ *        the start of the PNG palette
+ * @returns {Uint8Array} PNG file contents
+ * @throws {Error} If the image needs more than 256 palette entries
+ */
+export function encodeIndexedPNG(imageData, palette = []) {
+    const { width, height } = imageData;
+    const { entries, indices } = buildIndexedPalette(imageData, palette);
+    const bitDepth = indexedBitDepth(entries.length);
+
+    return concatBytes([
+        new Uint8Array(PNG_SIGNATURE),
+        makeChunk('IHDR', headerData(width, height, bitDepth, 3)),
+        ...paletteChunks(entries),
+        makeChunk('IDAT', zlibCompress(indexedScanlines(indices, width, height, bitDepth))),
+        makeChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Encode an image as an 8-bit RGBA PNG
+ * For images with too many colors for encodeIndexedPNG
+ * @param {ImageData} imageData - Source image data
+ * @returns {Uint8Array} PNG file contents
+ */
+export function encodePNG(imageData) {
+    const { width, height } = imageData;
+
+    return concatBytes([
+        new Uint8Array(PNG_SIGNATURE),
+        makeChunk('IHDR', headerData(width, height, 8, 6)),
+        makeChunk('IDAT', zlibCompress(rgbaScanlines(imageData))),
+        makeChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Encode frames as an animated PNG
+ * All frames share one palette (indexed) when they have at most 256 colors
+ * between them, and are stored as 8-bit RGBA otherwise. Every frame covers
+ * the whole image and replaces the one before it.
+ * @param {Array<ImageData>} frames - Frames, all the same size
+ * @param {Object} [options] - Animation options
+ * @param {Array<number>} [options.delays] - Delay of each frame in ms (default 100;
+ *        delays over 65535 ms are stored in hundredths of a second, up to 655350 ms)
+ * @param {number} [options.loopCount=0] - Times to play, 0 = forever
+ * @param {Array<Array<number>>} [options.palette] - Ordered [r, g, b] colors
+ *        to start the shared palette with
+ * @returns {Uint8Array} APNG file contents
+ */
+export function encodeAPNG(frames, options = {}) {
+    const { delays = [], loopCount = 0, palette = [] } = options;
+    const { width, height } = frames[0];
+    const pixelCount = width * height;
+
+    let indexed = null;
+    try {
+        indexed = buildIndexedPalette(frames, palette);
+    } catch (e) {
+        // Too many colors: fall back to RGBA
+    }
+
+    const bitDepth = indexed ? indexedBitDepth(indexed.entries.length) : 8;
+    const chunks = [
+        new Uint8Array(PNG_SIGNATURE),
+        makeChunk('IHDR', headerData(width, height, bitDepth, indexed ? 3 : 6))
+    ];
+
+    const actl = new Uint8Array(8);
+    new DataView(actl.buffer).setUint32(0, frames.length);
+    new DataView(actl.buffer).setUint32(4, loopCount);
+    chunks.push(makeChunk('acTL', actl));
+    if (indexed) chunks.push(...paletteChunks(indexed.entries));
+
+    // Frame control and data chunks share one sequence
+    let sequence = 0;
+    frames.forEach((frame, i) => {
+        const fctl = new Uint8Array(26);
+        const view = new DataView(fctl.buffer);
+        view.setUint32(0, sequence++);
+        view.setUint32(4, width);
+        view.setUint32(8, height);
+        // x and y offsets are 0
+        // Milliseconds where they fit in 16 bits, hundredths of a second past that
+        const delay = Math.max(0, Math.round(delays[i] ?? 100));
+        const denominator = delay > 0xffff ? 100 : 1000;
+        view.setUint16(20, Math.min(0xffff, Math.round(delay * denominator / 1000)));
+        view.setUint16(22, denominator);
+        // Dispose op 0 (none) and blend op 0 (source)
+        chunks.push(makeChunk('fcTL', fctl));
+
+        const raw = indexed
+            ? indexedScanlines(indexed.indices.subarray(i * pixelCount, (i + 1) * pixelCount), width, height, bitDepth)
+            : rgbaScanlines(frame);
+        const compressed = zlibCompress(raw);
+
+        if (i === 0) {
+            chunks.push(makeChunk('IDAT', compressed));
+        } else {
+            const fdat = new Uint8Array(compressed.length + 4);
+            new DataView(fdat.buffer).setUint32(0, sequence++);
+            fdat.set(compressed, 4);
+            chunks.push(makeChunk('fdAT', fdat));
+        }
+    });
+
+    chunks.push(makeChunk('IEND', new Uint8Array(0)));
+    return concatBytes(chunks);
+}
+
+/**
+ * Lay out RGBA pixels as unfiltered PNG scanlines
+ * @param {ImageData} imageData - Source image data
+ * @returns {Uint8Array} Scanlines, each a filter byte (0 = none) and RGBA pixels
+ */
+function rgbaScanlines(imageData) {
+    const { data, width, height } = imageData;
+    const rowBytes = width * 4;
+    const raw = new Uint8Array((rowBytes + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        raw.set(data.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+    }
+
+    return raw;
+}
+
+// Samples per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 interlace passes: [xStart, yStart, xStep, yStep]
+const ADAM7_PASSES = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/**
+ * Split a PNG file into its chunks
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Array<{type: string, data: Uint8Array}>} Chunks in file order
+ * @throws {Error} If the signature is wrong or a chunk is truncated
+ */
+function readChunks(bytes) {
+    if (bytes.length < 8 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) {
+        throw new Error('Not a PNG file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let pos = 8;
+
+    while (pos + 8 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        if (pos + 12 + length > bytes.length) throw new Error(`Truncated PNG chunk: ${type}`);
+
+        chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + length) });
+        pos += 12 + length;
+        if (type === 'IEND') break;
+    }
+
+    return chunks;
+}
+
+/**
+ * Read the image header and color information from PNG chunks
+ * @param {Array<{type: string, data: Uint8Array}>} chunks - PNG chunks
+ * @returns {{width: number, height: number, bitDepth: number, colorType: number,
+ *            interlace: number, palette: Uint8Array|null, transparency: Uint8Array|null}}
+ * @throws {Error} If the header is missing or uses an unsupported format
+ */
+function readHeader(chunks) {
+    const ihdr = chunks[0]?.type === 'IHDR' ? chunks[0].data : null;
+    if (!ihdr || ihdr.length < 13) throw new Error('PNG is missing its IHDR header');
+
+    const view = new DataView(ihdr.buffer, ihdr.byteOffset, ihdr.byteLength);
+    const header = {
+        width: view.getUint32(0),
+        height: view.getUint32(4),
+        bitDepth: ihdr[8],
+        colorType: ihdr[9],
+        interlace: ihdr[12],
+        palette: chunks.find(chunk => chunk.type === 'PLTE')?.data || null,
+        transparency: chunks.find(chunk => chunk.type === 'tRNS')?.data || null
+    };
+
+    if (!CHANNELS[header.colorType]) throw new Error(`Unsupported PNG color type ${header.colorType}`);
+    if (![1, 2, 4, 8, 16].includes(header.bitDepth)) throw new Error(`Unsupported PNG bit depth ${header.bitDepth}`);
+    if (header.colorType === 3 && !header.palette) throw new Error('Indexed PNG is missing its palette');
+
+    return header;
+}
+
+/**
+ * Undo PNG scanline filters in place
+ * @param {Uint8Array} raw - Decompressed data
+ * @param {number} offset - Start of the first scanline in raw
+ * @param {number} rowBytes - Bytes per scanline, without the filter byte
+ * @param {number} rows - Number of scanlines
+ * @param {number} bpp - Bytes per complete pixel (at least 1)
+ * @returns {Uint8Array} Unfiltered rows, rowBytes each
+ */
+function unfilterRows(raw, offset, rowBytes, rows, bpp) {
+    const output = new Uint8Array(rowBytes * rows);
+
+    for (let y = 0; y < rows; y++) {
+        const filter = raw[offset + y * (rowBytes + 1)];
+        const src = offset + y * (rowBytes + 1) + 1;
+        const row = y * rowBytes;
+        const prior = row - rowBytes;
+
+        for (let x = 0; x < rowBytes; x++) {
+            const left = x >= bpp ? output[row + x - bpp] : 0;
+            const up = y > 0 ? output[prior + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? output[prior + x - bpp] : 0;
+            let predictor = 0;
+
+            if (filter === 1) {
+                predictor = left;
+            } else if (filter === 2) {
+                predictor = up;
+            } else if (filter === 3) {
+                predictor = (left + up) >> 1;
+            } else if (filter === 4) {
+                // Paeth
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            } else if (filter !== 0) {
+                throw new Error(`Invalid PNG filter type ${filter}`);
+            }
+
+            output[row + x] = (raw[src + x] + predictor) & 0xff;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Convert decompressed PNG image data to RGBA
+ * @param {Uint8Array} raw - Decompressed (still filtered) image data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} header - Color information from readHeader
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function decodePixels(raw, width, height, header) {
+    const { bitDepth, colorType, interlace, palette, transparency } = header;
+    const channels = CHANNELS[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const maxValue = (1 << bitDepth) - 1;
+    const output = new Uint8ClampedArray(width * height * 4);
+
+    // tRNS holds one transparent color for grayscale and RGB images
+    const key = transparency && (colorType === 0 || colorType === 2)
+        ? Array.from({ length: channels }, (_, c) => (transparency[c * 2] << 8) | transparency[c * 2 + 1])
+        : null;
+
+    const readSample = (rows, rowStart, index) => {
+        if (bitDepth === 8) return rows[rowStart + index];
+        if (bitDepth === 16) return (rows[rowStart + index * 2] << 8) | rows[rowStart + index * 2 + 1];
+        const bit = index * bitDepth;
+        return (rows[rowStart + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    };
+    const to8 = (value) => bitDepth === 16 ? value >> 8 : bitDepth === 8 ? value : Math.round(value * 255 / maxValue);
+
+    const samples = new Array(channels);
+    const writePass = (rows, passWidth, passHeight, xStart, yStart, xStep, yStep) => {
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        for (let py = 0; py < passHeight; py++) {
+            for (let px = 0; px < passWidth; px++) {
+                for (let c = 0; c < channels; c++) {
+                    samples[c] = readSample(rows, py * rowBytes, px * channels + c);
+                }
+
+                const o = ((yStart + py * yStep) * width + xStart + px * xStep) * 4;
+                if (colorType === 3) {
+                    const index = samples[0];
+                    output[o] = palette[index * 3];
+                    output[o + 1] = palette[index * 3 + 1];
+                    output[o + 2] = palette[index * 3 + 2];
+                    output[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                    continue;
+                }
+
+                const gray = colorType === 0 || colorType === 4;
+                output[o] = to8(samples[0]);
+                output[o + 1] = to8(gray ? samples[0] : samples[1]);
+                output[o + 2] = to8(gray ? samples[0] : samples[2]);
+                if (colorType === 4 || colorType === 6) {
+                    output[o + 3] = to8(samples[channels - 1]);
+                } else {
+                    output[o + 3] = key && key.every((value, c) => value === samples[c]) ? 0 : 255;
+                }
+            }
+        }
+    };
+
+    const passes = interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    let offset = 0;
+    for (const [xStart, yStart, xStep, yStep] of passes) {
+        const passWidth = Math.ceil((width - xStart) / xStep);
+        const passHeight = Math.ceil((height - yStart) / yStep);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        if (offset + (rowBytes + 1) * passHeight > raw.length) throw new Error('PNG image data is truncated');
+
+        const rows = unfilterRows(raw, offset, rowBytes, passHeight, bpp);
+        writePass(rows, passWidth, passHeight, xStart, yStart, xStep, yStep);
+        offset += (rowBytes + 1) * passHeight;
+    }
+
+    return output;
+}
+
+/**
+ * Join the data of several chunks
+ * @param {Array<Uint8Array>} parts - Chunk data
+ * @returns {Uint8Array} Joined data
+ */
+function joinData(parts) {
+    return parts.length === 1 ? parts[0] : concatBytes(parts);
+}
+
+/**
+ * Decode a PNG file
+ * Supports every standard color type, bit depth and interlacing; for an
+ * animated PNG this is the default image
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {ImageData} Decoded image (8 bits per channel)
+ * @throws {Error} If the file is not a valid PNG
+ */
+export function decodePNG(bytes) {
+    const chunks = readChunks(bytes);
+    const header = readHeader(chunks);
+    const idat = chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data);
+    if (idat.length === 0) throw new Error('PNG has no image data');
+
+    const raw = zlibDecompress(joinData(idat));
+    return createImageData(decodePixels(raw, header.width, header.height, header), header.width, header.height);
+}
+
+/**
+ * Check whether a PNG file is animated
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {boolean} True if the file has an acTL chunk
+ * @throws {Error} If the file is not a valid PNG
+ */
+export function isAnimatedPNG(bytes) {
+    return readChunks(bytes).some(chunk => chunk.type === 'acTL');
+}
+
+/**
+ * Decode all frames of an animated PNG
+ * Frames are composited (blend and dispose ops applied), so each one is a
+ * complete image. A PNG without animation gives a single frame.
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {{width: number, height: number, frames: Array<{imageData: ImageData,
+ *            delay: number}>, loopCount: number}} Frames with delays in ms;
+ *          loopCount 0 means forever
+ * @throws {Error} If the file is not a valid PNG
+ */
+export function decodeAPNG(bytes) {
+    const chunks = readChunks(bytes);
+    const header = readHeader(chunks);
+    const { width, height } = header;
+    const actl = chunks.find(chunk => chunk.type === 'acTL');
+
+    if (!actl) {
+        return { width, height, frames: [{ imageData: decodePNG(bytes), delay: 0 }], loopCount: 0 };
+    }
+
+    // Group frame data under the fcTL chunk before it
+    const controls = [];
+    let current = null;
+    for (const { type, data } of chunks) {
+        if (type === 'fcTL') {
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            current = {
+                width: view.getUint32(4),
+                height: view.getUint32(8),
+                x: view.getUint32(12),
+                y: view.getUint32(16),
+                delayNum: view.getUint16(20),
+                delayDen: view.getUint16(22),
+                dispose: data[24],
+                blend: data[25],
+                parts: []
+            };
+            controls.push(current);
+        } else if (type === 'IDAT' && current) {
+            current.parts.push(data);
+        } else if (type === 'fdAT' && current) {
+            current.parts.push(data.subarray(4));
+        }
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+
+    controls.forEach((control, i) => {
+        if (control.parts.length === 0) return;
+        if (control.x + control.width > width || control.y + control.height > height) {
+            throw new Error('APNG frame lies outside the image');
+        }
+
+        const raw = zlibDecompress(joinData(control.parts));
+        const pixels = decodePixels(raw, control.width, control.height, header);
+        const rowBytes = control.width * 4;
+
+        // Dispose op 2 restores what was under the frame afterwards
+        const dispose = i === 0 && control.dispose === 2 ? 1 : control.dispose;
+        const saved = [];
+        for (let y = 0; y < control.height; y++) {
+            const start = ((control.y + y) * width + control.x) * 4;
+            if (dispose === 2) saved.push(canvas.slice(start, start + rowBytes));
+
+            for (let x = 0; x < rowBytes; x += 4) {
+                const s = y * rowBytes + x;
+                const d = start + x;
+                const alpha = pixels[s + 3];
+                if (control.blend === 0 || alpha === 255) {
+                    canvas.set(pixels.subarray(s, s + 4), d);
+                } else if (alpha > 0) {
+                    // Source over destination
+                    const destAlpha = canvas[d + 3] * (255 - alpha) / 255;
+                    const outAlpha = alpha + destAlpha;
+                    for (let c = 0; c < 3; c++) {
+                        canvas[d + c] = (pixels[s + c] * alpha + canvas[d + c] * destAlpha) / outAlpha;
+                    }
+                    canvas[d + 3] = outAlpha;
+                }
+            }
+        }
+
+        const delay = Math.round(control.delayNum * 1000 / (control.delayDen || 100));
+        frames.push({ imageData: createImageData(new Uint8ClampedArray(canvas), width, height), delay });
+
+        for (let y = 0; y < control.height; y++) {
+            const start = ((control.y + y) * width + control.x) * 4;
+            if (dispose === 1) canvas.fill(0, start, start + rowBytes);
+            else if (dispose === 2) canvas.set(saved[y], start);
+        }
+    });
+
+    const loopCount = new DataView(actl.data.buffer, actl.data.byteOffset, actl.data.byteLength).getUint32(4);
+    return { width, height, frames, loopCount };
+}
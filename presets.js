@@ -165,12 +165,33 @@ export function getPalette(name) {
 
 /**
  * Get all palette names
- * @returns {Array<{key: string, name: string, colorCount: number}>}
+ * @returns {Array<{key: string, name: string, colorCount: number, imported: boolean}>}
  */
 export function getAllPaletteInfo() {
     return Object.entries(PALETTES).map(([key, palette]) => ({
         key,
         name: palette.name,
-        colorCount: palette.colors.length
+        colorCount: palette.colors.length,
+        imported: Boolean(palette.imported)
     }));
 }
+
+/**
+ * Add a palette next to the built-in ones
+ * @param {string} key - Palette key
+ * @param {{name: string, colors: Array<Array<number>>, imported?: boolean}} palette - Palette
+ */
+export function registerPalette(key, palette) {
+    PALETTES[key] = palette;
+}
+
+/**
+ * Remove a registered palette (built-in palettes are kept)
+ * @param {string} key - Palette key
+ * @returns {boolean} True if the palette was removed
+ */
+export function unregisterPalette(key) {
+    if (!PALETTES[key]?.imported) return false;
+    delete PALETTES[key];
+    return true;
+}
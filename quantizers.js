@@ -0,0 +1,593 @@
+/**
+ * Color quantizers
+ * Palette generation from a color histogram: median cut, Xiaolin Wu's
+ * variance-minimizing quantizer, an octree quantizer and an optional k-means
+ * refinement pass that can start from any of them
+ */
+
+import { getColorMetric } from './colorMetrics.js';
+
+/**
+ * Available quantizers
+ */
+export const QUANTIZERS = [
+    { key: 'median-cut', name: 'Median cut' },
+    { key: 'wu', name: 'Wu (variance)' },
+    { key: 'octree', name: 'Octree' }
+];
+
+// Histogram resolution: 5 bits per channel (32768 bins)
+const HISTOGRAM_BITS = 5;
+const HISTOGRAM_SHIFT = 8 - HISTOGRAM_BITS;
+
+// Images with at most this many colors keep their exact colors when quantized
+const MAX_EXACT_COLORS = 256;
+
+// Wu's moment tables have one extra row/column/plane of zeros per channel
+const WU_SIDE = (1 << HISTOGRAM_BITS) + 1;
+
+// k-means refinement stops after this many passes if it hasn't converged
+const REFINE_ITERATIONS = 8;
+
+/**
+ * Build a palette from a histogram
+ * Wu and octree split in RGB; the metric is used by median cut and by the
+ * k-means refinement
+ * @param {Object} histogram - Histogram from buildHistogram
+ * @param {number} numColors - Target number of colors
+ * @param {Object} [options] - Quantizer options
+ * @param {string} [options.quantizer='median-cut'] - One of QUANTIZERS keys
+ * @param {boolean} [options.refine=false] - Refine the palette with k-means
+ * @param {string} [options.metric='rgb'] - Color metric (see COLOR_METRICS)
+ * @returns {Array<Array<number>>} Palette of [r, g, b] colors
+ */
+export function generatePalette(histogram, numColors, options = {}) {
+    const { quantizer = 'median-cut', refine = false } = options;
+    const metric = getColorMetric(options.metric);
+
+    let palette;
+    if (quantizer === 'wu') {
+        palette = wuQuantize(histogram, numColors);
+    } else if (quantizer === 'octree') {
+        palette = octreeQuantize(histogram, numColors);
+    } else {
+        palette = medianCut(histogram, numColors, metric).palette;
+    }
+
+    return refine ? refinePalette(histogram, palette, metric) : palette;
+}
+
+/**
+ * Count the visible pixels of an image in a 5-bit-per-channel histogram
+ * Only occupied bins are kept. Each stores its bin number, pixel count, the
+ * RGB sums and summed squares of its pixels (so averages and variances keep
+ * full precision) and its mean in metric space.
+ * Several images can be counted together to get their combined statistics.
+ * @param {ImageData|Array<ImageData>} images - Source image data, or a list of images
+ * @param {Object} [metric] - Resolved color metric (defaults to RGB)
+ * @returns {{size: number, bins: Uint16Array, counts: Float64Array,
+ *            sums: Float64Array, squares: Float64Array,
+ *            points: Array<Array<number>>, exactColors: Array<Array<number>>|null}}
+ *          Occupied bins, plus the exact colors if there are few enough
+ */
+export function buildHistogram(images, metric = getColorMetric()) {
+    const binIndex = new Int32Array(1 << (HISTOGRAM_BITS * 3)).fill(-1);
+    const bins = [];
+    const counts = [];
+    const sums = [];
+    const squares = [];
+    let exact = new Set();
+
+    for (const { data } of [].concat(images)) {
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            const bin = ((r >> HISTOGRAM_SHIFT) << (HISTOGRAM_BITS * 2)) |
+                ((g >> HISTOGRAM_SHIFT) << HISTOGRAM_BITS) | (b >> HISTOGRAM_SHIFT);
+
+            let index = binIndex[bin];
+            if (index < 0) {
+                index = binIndex[bin] = counts.length;
+                bins.push(bin);
+                counts.push(0);
+                sums.push(0, 0, 0);
+                squares.push(0);
+            }
+            counts[index]++;
+            sums[index * 3] += r;
+            sums[index * 3 + 1] += g;
+            sums[index * 3 + 2] += b;
+            squares[index] += r * r + g * g + b * b;
+
+            if (exact) {
+                exact.add((r << 16) | (g << 8) | b);
+                if (exact.size > MAX_EXACT_COLORS) exact = null;
+            }
+        }
+    }
+
+    const size = counts.length;
+    const points = [];
+    for (let i = 0; i < size; i++) {
+        points.push(metric.toSpace([
+            sums[i * 3] / counts[i],
+            sums[i * 3 + 1] / counts[i],
+            sums[i * 3 + 2] / counts[i]
+        ]));
+    }
+
+    return {
+        size,
+        bins: Uint16Array.from(bins),
+        counts: Float64Array.from(counts),
+        sums: Float64Array.from(sums),
+        squares: Float64Array.from(squares),
+        points,
+        exactColors: exact && [...exact].map(c => [c >> 16, (c >> 8) & 255, c & 255])
+    };
+}
+
+/**
+ * Median cut algorithm for color quantization
+ * Works on histogram bins: boxes are split in the metric's color space at
+ * the pixel-weighted median and averaged in RGB. Each box's range and error
+ * are computed once when it is created, so a split only touches the box
+ * being split. The total error after every split is recorded, which gives
+ * the distortion for each palette size from 1 to numColors in one pass.
+ * @param {Object} histogram - Histogram from buildHistogram
+ * @param {number} numColors - Target number of colors
+ * @param {Object} [metric] - Resolved color metric (defaults to RGB)
+ * @param {Function} [onSplit] - Called with the box count after each split
+ * @returns {{palette: Array<Array<number>>, distortions: Array<number>}}
+ *          Palette of [r, g, b] colors and the distortion for 1..numColors colors
+ */
+export function medianCut(histogram, numColors, metric = getColorMetric(), onSplit) {
+    const { size, points } = histogram;
+    const order = new Uint32Array(size);
+    for (let i = 0; i < size; i++) order[i] = i;
+
+    const boxes = [createBox(histogram, order, 0, size, metric)];
+    const distortions = [boxes[0].error];
+    let totalError = boxes[0].error;
+
+    // Split boxes until we have enough colors
+    while (boxes.length < numColors) {
+        // Find box with largest range
+        let largest = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            const box = boxes[i];
+            if (box.end - box.start < 2) continue;
+            if (largest < 0 || box.range > boxes[largest].range) largest = i;
+        }
+
+        if (largest < 0) break;
+
+        // Split the box at the weighted median along its widest channel
+        const { start, end, channel, count } = boxes[largest];
+        order.subarray(start, end).sort((a, b) => points[a][channel] - points[b][channel]);
+
+        let mid = start + 1;
+        let below = histogram.counts[order[start]];
+        while (mid < end - 1 && below + histogram.counts[order[mid]] <= count / 2) {
+            below += histogram.counts[order[mid]];
+            mid++;
+        }
+
+        const box1 = createBox(histogram, order, start, mid, metric);
+        const box2 = createBox(histogram, order, mid, end, metric);
+        totalError += box1.error + box2.error - boxes[largest].error;
+
+        // Replace the box with two new boxes
+        boxes.splice(largest, 1, box1, box2);
+        distortions.push(Math.max(0, totalError));
+        if (onSplit) onSplit(boxes.length);
+    }
+
+    // Boxes that can't be split any more keep the last distortion
+    while (distortions.length < numColors) {
+        distortions.push(distortions[distortions.length - 1]);
+    }
+
+    return {
+        palette: boxes.map(box => box.color.map(v => Math.round(v))),
+        distortions
+    };
+}
+
+/**
+ * Summarize a run of histogram bins as a median cut box
+ * @param {Object} histogram - Histogram from buildHistogram
+ * @param {Uint32Array} order - Bin indices, boxes are contiguous runs
+ * @param {number} start - First position in order
+ * @param {number} end - Position after the last bin
+ * @param {Object} metric - Resolved color metric
+ * @returns {{start: number, end: number, count: number, color: Array<number>,
+ *            range: number, channel: number, error: number}}
+ *          Box with its mean color, widest channel and squared error
+ */
+function createBox(histogram, order, start, end, metric) {
+    const { counts, sums, points } = histogram;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    let count = 0, sumR = 0, sumG = 0, sumB = 0;
+
+    for (let j = start; j < end; j++) {
+        const i = order[j];
+        const point = points[i];
+        for (let c = 0; c < 3; c++) {
+            if (point[c] < min[c]) min[c] = point[c];
+            if (point[c] > max[c]) max[c] = point[c];
+        }
+        count += counts[i];
+        sumR += sums[i * 3];
+        sumG += sums[i * 3 + 1];
+        sumB += sums[i * 3 + 2];
+    }
+
+    const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+    const range = Math.max(...ranges);
+    const color = [sumR / count, sumG / count, sumB / count];
+
+    // Squared error of the box's pixels against its mean color
+    const meanPoint = metric.toSpace(color);
+    let error = 0;
+    for (let j = start; j < end; j++) {
+        const i = order[j];
+        error += counts[i] * metric.distance(points[i], meanPoint);
+    }
+
+    return { start, end, count, color, range, channel: ranges.indexOf(range), error };
+}
+
+/**
+ * Xiaolin Wu's color quantizer
+ * Repeatedly cuts the box with the largest variance where the cut minimizes
+ * the summed variance of the two halves. Works on cumulative moment tables
+ * over the 5-bit RGB histogram, so each box statistic is a few lookups.
+ * @param {Object} histogram - Histogram from buildHistogram
+ * @param {number} numColors - Target number of colors
+ * @returns {Array<Array<number>>} Palette of [r, g, b] colors
+ */
+export function wuQuantize(histogram, numColors) {
+    const moments = buildMoments(histogram);
+    const boxes = [{ r0: 0, r1: WU_SIDE - 1, g0: 0, g1: WU_SIDE - 1, b0: 0, b1: WU_SIDE - 1 }];
+    const variances = [0];
+
+    let next = 0;
+    while (boxes.length < numColors) {
+        const box = boxes[next];
+        const split = cutBox(box, moments);
+
+        if (split) {
+            boxes.push(split);
+            variances[next] = boxCells(box) > 1 ? boxVariance(box, moments) : 0;
+            variances.push(boxCells(split) > 1 ? boxVariance(split, moments) : 0);
+        } else {
+            variances[next] = 0;
+        }
+
+        // Cut the box with the most variance next
+        next = 0;
+        for (let i = 1; i < boxes.length; i++) {
+            if (variances[i] > variances[next]) next = i;
+        }
+        if (variances[next] <= 0) break;
+    }
+
+    const palette = [];
+    for (const box of boxes) {
+        const weight = boxVolume(box, moments.weights);
+        if (weight === 0) continue;
+        palette.push([
+            Math.round(boxVolume(box, moments.red) / weight),
+            Math.round(boxVolume(box, moments.green) / weight),
+            Math.round(boxVolume(box, moments.blue) / weight)
+        ]);
+    }
+    return palette;
+}
+
+/**
+ * Build Wu's cumulative moment tables from a histogram
+ * Entry (r, g, b) holds the sum over all bins with smaller or equal
+ * coordinates, so any box sum takes eight lookups
+ * @param {Object} histogram - Histogram from buildHistogram
+ * @returns {{weights: Float64Array, red: Float64Array, green: Float64Array,
+ *            blue: Float64Array, squares: Float64Array}} Moment tables
+ */
+function buildMoments(histogram) {
+    const tableSize = WU_SIDE * WU_SIDE * WU_SIDE;
+    const moments = {
+        weights: new Float64Array(tableSize),
+        red: new Float64Array(tableSize),
+        green: new Float64Array(tableSize),
+        blue: new Float64Array(tableSize),
+        squares: new Float64Array(tableSize)
+    };
+    const tables = Object.values(moments);
+
+    // Bin counts, shifted by one so row/column/plane 0 stays empty
+    const mask = (1 << HISTOGRAM_BITS) - 1;
+    for (let i = 0; i < histogram.size; i++) {
+        const bin = histogram.bins[i];
+        const r = (bin >> (HISTOGRAM_BITS * 2)) + 1;
+        const g = ((bin >> HISTOGRAM_BITS) & mask) + 1;
+        const b = (bin & mask) + 1;
+        const index = (r * WU_SIDE + g) * WU_SIDE + b;
+
+        moments.weights[index] += histogram.counts[i];
+        moments.red[index] += histogram.sums[i * 3];
+        moments.green[index] += histogram.sums[i * 3 + 1];
+        moments.blue[index] += histogram.sums[i * 3 + 2];
+        moments.squares[index] += histogram.squares[i];
+    }
+
+    // Running sums along each axis in turn
+    for (const table of tables) {
+        for (let r = 1; r < WU_SIDE; r++) {
+            for (let g = 1; g < WU_SIDE; g++) {
+                for (let b = 1; b < WU_SIDE; b++) {
+                    const index = (r * WU_SIDE + g) * WU_SIDE + b;
+                    table[index] += table[index - 1];
+                }
+            }
+        }
+        for (let r = 1; r < WU_SIDE; r++) {
+            for (let g = 1; g < WU_SIDE; g++) {
+                for (let b = 1; b < WU_SIDE; b++) {
+                    const index = (r * WU_SIDE + g) * WU_SIDE + b;
+                    table[index] += table[index - WU_SIDE];
+                }
+            }
+        }
+        for (let r = 1; r < WU_SIDE; r++) {
+            for (let g = 1; g < WU_SIDE; g++) {
+                for (let b = 1; b < WU_SIDE; b++) {
+                    const index = (r * WU_SIDE + g) * WU_SIDE + b;
+                    table[index] += table[index - WU_SIDE * WU_SIDE];
+                }
+            }
+        }
+    }
+
+    return moments;
+}
+
+/**
+ * Look up a cumulative moment table
+ * @param {Float64Array} table - Moment table
+ * @param {number} r - Red coordinate
+ * @param {number} g - Green coordinate
+ * @param {number} b - Blue coordinate
+ * @returns {number} Cumulative sum
+ */
+function moment(table, r, g, b) {
+    return table[(r * WU_SIDE + g) * WU_SIDE + b];
+}
+
+/**
+ * Sum of a moment over a box (exclusive lower, inclusive upper bounds)
+ * @param {Object} box - Box with r0, r1, g0, g1, b0, b1
+ * @param {Float64Array} table - Moment table
+ * @returns {number} Sum over the box
+ */
+function boxVolume(box, table) {
+    const { r0, r1, g0, g1, b0, b1 } = box;
+    return moment(table, r1, g1, b1) - moment(table, r1, g1, b0) -
+        moment(table, r1, g0, b1) + moment(table, r1, g0, b0) -
+        moment(table, r0, g1, b1) + moment(table, r0, g1, b0) +
+        moment(table, r0, g0, b1) - moment(table, r0, g0, b0);
+}
+
+/**
+ * Number of histogram cells in a box
+ * @param {Object} box - Box with r0, r1, g0, g1, b0, b1
+ * @returns {number} Cell count
+ */
+function boxCells(box) {
+    return (box.r1 - box.r0) * (box.g1 - box.g0) * (box.b1 - box.b0);
+}
+
+/**
+ * Sum of a moment over the box with one axis limited to coordinates up to pos
+ * @param {Object} box - Box with r0, r1, g0, g1, b0, b1
+ * @param {string} axis - 'r', 'g' or 'b'
+ * @param {number} pos - Upper bound along the axis
+ * @param {Float64Array} table - Moment table
+ * @returns {number} Sum over the part of the box
+ */
+function boxVolumeUpTo(box, axis, pos, table) {
+    return boxVolume({ ...box, [`${axis}1`]: pos }, table);
+}
+
+/**
+ * Weighted variance of the colors in a box
+ * @param {Object} box - Box with r0, r1, g0, g1, b0, b1
+ * @param {Object} moments - Moment tables
+ * @returns {number} Sum of squared distances from the box mean
+ */
+function boxVariance(box, moments) {
+    const r = boxVolume(box, moments.red);
+    const g = boxVolume(box, moments.green);
+    const b = boxVolume(box, moments.blue);
+    const squares = boxVolume(box, moments.squares);
+    return squares - (r * r + g * g + b * b) / boxVolume(box, moments.weights);
+}
+
+/**
+ * Cut a box in two where the halves have the least summed variance
+ * Shrinks the given box to the lower half
+ * @param {Object} box - Box to cut (modified)
+ * @param {Object} moments - Moment tables
+ * @returns {Object|null} Upper half, or null if the box can't be cut
+ */
+function cutBox(box, moments) {
+    const whole = {
+        r: boxVolume(box, moments.red),
+        g: boxVolume(box, moments.green),
+        b: boxVolume(box, moments.blue),
+        w: boxVolume(box, moments.weights)
+    };
+
+    let best = null;
+    for (const axis of ['r', 'g', 'b']) {
+        for (let pos = box[`${axis}0`] + 1; pos < box[`${axis}1`]; pos++) {
+            const lowW = boxVolumeUpTo(box, axis, pos, moments.weights);
+            const highW = whole.w - lowW;
+            if (lowW === 0 || highW === 0) continue;
+
+            const lowR = boxVolumeUpTo(box, axis, pos, moments.red);
+            const lowG = boxVolumeUpTo(box, axis, pos, moments.green);
+            const lowB = boxVolumeUpTo(box, axis, pos, moments.blue);
+            const highR = whole.r - lowR;
+            const highG = whole.g - lowG;
+            const highB = whole.b - lowB;
+
+            // Maximizing this minimizes the summed variance of the halves
+            const score = (lowR * lowR + lowG * lowG + lowB * lowB) / lowW +
+                (highR * highR + highG * highG + highB * highB) / highW;
+            if (!best || score > best.score) best = { axis, pos, score };
+        }
+    }
+
+    if (!best) return null;
+
+    const upper = { ...box, [`${best.axis}0`]: best.pos };
+    box[`${best.axis}1`] = best.pos;
+    return upper;
+}
+
+/**
+ * Octree color quantizer
+ * Bins are inserted into an octree by their RGB bits, then the deepest nodes
+ * with the fewest pixels are merged until the palette fits. Colors that differ
+ * in their high bits sit in separate branches, so small accent colors survive
+ * while near-identical shades are merged.
+ * @param {Object} histogram - Histogram from buildHistogram
+ * @param {number} numColors - Target number of colors
+ * @returns {Array<Array<number>>} Palette of [r, g, b] colors
+ */
+export function octreeQuantize(histogram, numColors) {
+    const createNode = () => ({ count: 0, r: 0, g: 0, b: 0, children: null });
+    const root = createNode();
+    const levels = Array.from({ length: HISTOGRAM_BITS }, () => []);
+    const mask = (1 << HISTOGRAM_BITS) - 1;
+    let leafCount = 0;
+
+    // One leaf per bin at the bottom level
+    for (let i = 0; i < histogram.size; i++) {
+        const bin = histogram.bins[i];
+        const r = bin >> (HISTOGRAM_BITS * 2);
+        const g = (bin >> HISTOGRAM_BITS) & mask;
+        const b = bin & mask;
+
+        let node = root;
+        for (let level = 0; level < HISTOGRAM_BITS; level++) {
+            node.count += histogram.counts[i];
+            node.r += histogram.sums[i * 3];
+            node.g += histogram.sums[i * 3 + 1];
+            node.b += histogram.sums[i * 3 + 2];
+
+            if (!node.children) {
+                node.children = [];
+                levels[level].push(node);
+            }
+            const shift = HISTOGRAM_BITS - 1 - level;
+            const child = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+            if (!node.children[child]) {
+                node.children[child] = createNode();
+                if (level === HISTOGRAM_BITS - 1) leafCount++;
+            }
+            node = node.children[child];
+        }
+
+        node.count += histogram.counts[i];
+        node.r += histogram.sums[i * 3];
+        node.g += histogram.sums[i * 3 + 1];
+        node.b += histogram.sums[i * 3 + 2];
+    }
+
+    // Merge the deepest, least used nodes into their parent until we fit
+    for (let level = HISTOGRAM_BITS - 1; level >= 0 && leafCount > numColors; level--) {
+        const nodes = levels[level].sort((a, b) => a.count - b.count);
+        for (const node of nodes) {
+            if (leafCount <= numColors) break;
+            leafCount -= node.children.filter(Boolean).length - 1;
+            node.children = null;
+        }
+    }
+
+    // Leaves are the palette
+    const palette = [];
+    const collect = (node) => {
+        if (!node.children) {
+            palette.push([node.r, node.g, node.b].map(v => Math.round(v / node.count)));
+            return;
+        }
+        for (const child of node.children) {
+            if (child) collect(child);
+        }
+    };
+    collect(root);
+
+    return palette;
+}
+
+/**
+ * Refine a palette with weighted k-means over the histogram
+ * Bins are assigned with the metric and centers are averaged in RGB. Colors
+ * that end up with no pixels keep their starting value.
+ * @param {Object} histogram - Histogram from buildHistogram
+ * @param {Array<Array<number>>} palette - Starting palette of [r, g, b] colors
+ * @param {Object} [metric] - Resolved color metric (defaults to RGB)
+ * @returns {Array<Array<number>>} Refined palette of [r, g, b] colors
+ */
+export function refinePalette(histogram, palette, metric = getColorMetric()) {
+    const { size, counts, sums, points } = histogram;
+    const k = palette.length;
+    const centers = palette.map(color => [...color]);
+    let centerPoints = centers.map(metric.toSpace);
+    const labels = new Int32Array(size).fill(-1);
+
+    for (let iter = 0; iter < REFINE_ITERATIONS; iter++) {
+        // Assign bins to nearest center
+        let changed = false;
+        for (let i = 0; i < size; i++) {
+            let nearest = 0;
+            let minDist = Infinity;
+            for (let c = 0; c < k; c++) {
+                const dist = metric.distance(points[i], centerPoints[c]);
+                if (dist < minDist) {
+                    minDist = dist;
+                    nearest = c;
+                }
+            }
+            if (labels[i] !== nearest) {
+                labels[i] = nearest;
+                changed = true;
+            }
+        }
+
+        if (!changed) break;
+
+        // Move centers to the weighted mean of their bins
+        const totals = Array.from({ length: k }, () => [0, 0, 0, 0]);
+        for (let i = 0; i < size; i++) {
+            const total = totals[labels[i]];
+            total[0] += sums[i * 3];
+            total[1] += sums[i * 3 + 1];
+            total[2] += sums[i * 3 + 2];
+            total[3] += counts[i];
+        }
+        for (let c = 0; c < k; c++) {
+            const [r, g, b, count] = totals[c];
+            if (count > 0) centers[c] = [r / count, g / count, b / count];
+        }
+        centerPoints = centers.map(metric.toSpace);
+    }
+
+    return centers.map(color => color.map(v => Math.round(v)));
+}
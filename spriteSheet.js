@@ -0,0 +1,247 @@
+/**
+ * Sprite sheet slicing and reassembly
+ * Splits a sheet into frames at its gutters (or on a rows × columns grid),
+ * and packs fixed frames back into a clean sheet with a JSON atlas
+ */
+
+import { findBorderColor } from './backgroundRemoval.js';
+import { createImageData } from './imageData.js';
+
+/**
+ * Sprite sheet modes for the UI
+ */
+export const SHEET_MODES = [
+    { key: 'off', name: 'Single image' },
+    { key: 'auto', name: 'Sprite sheet (find gutters)' },
+    { key: 'grid', name: 'Sprite sheet (rows × columns)' }
+];
+
+/**
+ * Find the frames of a sprite sheet from the gutters between them
+ * A gutter is a full row or column of background: transparent pixels or the
+ * most common border color. Empty runs much narrower than the widest one are
+ * taken to be gaps inside a sprite rather than gutters. Frames are cut at the
+ * middle of each gutter, so together they cover the whole sheet.
+ * @param {ImageData} imageData - Sprite sheet image data
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.alphaThreshold=128] - Pixels below this alpha are background
+ * @param {number} [options.tolerance=24] - Maximum RGB distance from the border color
+ * @returns {{frames: Array<{x: number, y: number, width: number, height: number,
+ *            row: number, col: number}>, rows: number, cols: number}}
+ *          Frames in reading order (empty cells are left out)
+ */
+export function detectFrames(imageData, options = {}) {
+    const { alphaThreshold = 128, tolerance = 24 } = options;
+    const { data, width, height } = imageData;
+    const keyColor = findBorderColor(imageData);
+    const maxDist = tolerance * tolerance;
+
+    // Mark foreground pixels, and the rows and columns that contain any
+    const foreground = new Uint8Array(width * height);
+    const usedCols = new Uint8Array(width);
+    const usedRows = new Uint8Array(height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            if (data[idx + 3] < alphaThreshold) continue;
+            if (keyColor) {
+                const dr = data[idx] - keyColor[0];
+                const dg = data[idx + 1] - keyColor[1];
+                const db = data[idx + 2] - keyColor[2];
+                if (dr * dr + dg * dg + db * db <= maxDist) continue;
+            }
+            foreground[y * width + x] = 1;
+            usedCols[x] = 1;
+            usedRows[y] = 1;
+        }
+    }
+
+    const columns = gutterBoundaries(usedCols);
+    const rows = gutterBoundaries(usedRows);
+    const frames = [];
+
+    for (let row = 0; row < rows.length - 1; row++) {
+        for (let col = 0; col < columns.length - 1; col++) {
+            const frame = {
+                x: columns[col],
+                y: rows[row],
+                width: columns[col + 1] - columns[col],
+                height: rows[row + 1] - rows[row],
+                row,
+                col
+            };
+            if (hasForeground(foreground, width, frame)) {
+                frames.push(frame);
+            }
+        }
+    }
+
+    return { frames, rows: rows.length - 1, cols: columns.length - 1 };
+}
+
+/**
+ * Split a line profile into frames at its gutters
+ * @param {Uint8Array} used - 1 where the row or column has foreground
+ * @returns {Array<number>} Frame boundaries, from 0 to the profile length
+ */
+function gutterBoundaries(used) {
+    const length = used.length;
+    const first = used.indexOf(1);
+    if (first < 0) return [0, length];
+
+    // Empty runs between foreground (leading and trailing margins don't count)
+    const gaps = [];
+    let start = -1;
+    for (let i = first; i < length; i++) {
+        if (!used[i] && start < 0) {
+            start = i;
+        } else if (used[i] && start >= 0) {
+            gaps.push({ start, end: i });
+            start = -1;
+        }
+    }
+
+    const widest = gaps.reduce((max, gap) => Math.max(max, gap.end - gap.start), 0);
+    const boundaries = [0];
+    for (const gap of gaps) {
+        if (gap.end - gap.start >= widest / 2) {
+            boundaries.push(Math.round((gap.start + gap.end) / 2));
+        }
+    }
+    boundaries.push(length);
+
+    return boundaries;
+}
+
+/**
+ * Check whether a frame rectangle contains any foreground pixel
+ * @param {Uint8Array} foreground - 1 for each foreground pixel of the sheet
+ * @param {number} width - Sheet width
+ * @param {Object} frame - Frame rectangle
+ * @returns {boolean} True if the frame isn't empty
+ */
+function hasForeground(foreground, width, frame) {
+    for (let y = frame.y; y < frame.y + frame.height; y++) {
+        const start = y * width + frame.x;
+        if (foreground.subarray(start, start + frame.width).includes(1)) return true;
+    }
+    return false;
+}
+
+/**
+ * Split a sprite sheet into an even rows × columns grid
+ * @param {number} width - Sheet width
+ * @param {number} height - Sheet height
+ * @param {number} rows - Number of frame rows
+ * @param {number} cols - Number of frame columns
+ * @returns {{frames: Array<Object>, rows: number, cols: number}} Same shape as detectFrames
+ */
+export function gridFrames(width, height, rows, cols) {
+    const frames = [];
+
+    for (let row = 0; row < rows; row++) {
+        const y = Math.round(row * height / rows);
+        const y2 = Math.round((row + 1) * height / rows);
+        for (let col = 0; col < cols; col++) {
+            const x = Math.round(col * width / cols);
+            const x2 = Math.round((col + 1) * width / cols);
+            frames.push({ x, y, width: x2 - x, height: y2 - y, row, col });
+        }
+    }
+
+    return { frames, rows, cols };
+}
+
+/**
+ * Copy one frame out of a sprite sheet
+ * @param {ImageData} imageData - Sprite sheet image data
+ * @param {{x: number, y: number, width: number, height: number}} frame - Frame rectangle
+ * @returns {ImageData} Frame image data
+ */
+export function sliceFrame(imageData, frame) {
+    const { x, y, width, height } = frame;
+    const outputData = new Uint8ClampedArray(width * height * 4);
+
+    for (let row = 0; row < height; row++) {
+        const srcStart = ((y + row) * imageData.width + x) * 4;
+        outputData.set(imageData.data.subarray(srcStart, srcStart + width * 4), row * width * 4);
+    }
+
+    return createImageData(outputData, width, height);
+}
+
+/**
+ * Pack equally sized frames into a sheet on a rows × columns grid
+ * @param {Array<ImageData>} images - Frame images, all the same size
+ * @param {Array<{row: number, col: number}>} cells - Grid cell of each frame
+ * @param {number} rows - Number of rows in the sheet
+ * @param {number} cols - Number of columns in the sheet
+ * @returns {{imageData: ImageData, frames: Array<{x: number, y: number,
+ *            width: number, height: number}>}} Sheet and frame rectangles in it
+ */
+export function assembleSheet(images, cells, rows, cols) {
+    const cellWidth = images.length > 0 ? images[0].width : 0;
+    const cellHeight = images.length > 0 ? images[0].height : 0;
+    const width = Math.max(1, cellWidth * cols);
+    const height = Math.max(1, cellHeight * rows);
+    const outputData = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+
+    images.forEach((image, i) => {
+        const x = cells[i].col * cellWidth;
+        const y = cells[i].row * cellHeight;
+        for (let row = 0; row < cellHeight; row++) {
+            const srcStart = row * cellWidth * 4;
+            outputData.set(image.data.subarray(srcStart, srcStart + cellWidth * 4), ((y + row) * width + x) * 4);
+        }
+        frames.push({ x, y, width: cellWidth, height: cellHeight });
+    });
+
+    return { imageData: createImageData(outputData, width, height), frames };
+}
+
+/**
+ * Create a JSON atlas for a sprite sheet
+ * Uses the Aseprite "hash" layout, which TexturePacker and most engines read
+ * @param {Array<{x: number, y: number, width: number, height: number}>} frames - Frame rectangles
+ * @param {Object} options - Atlas options
+ * @param {string} options.image - Sheet image file name
+ * @param {number} options.width - Sheet width (before scaling)
+ * @param {number} options.height - Sheet height (before scaling)
+ * @param {number} [options.scale=1] - Export scale applied to the sheet
+ * @param {string} [options.name='frame'] - Frame name prefix
+ * @param {number} [options.duration=100] - Frame duration in ms
+ * @returns {Object} Atlas object, ready for JSON.stringify
+ */
+export function createAtlas(frames, options) {
+    const { image, width, height, scale = 1, name = 'frame', duration = 100 } = options;
+    const atlasFrames = {};
+
+    frames.forEach((frame, i) => {
+        const w = frame.width * scale;
+        const h = frame.height * scale;
+        atlasFrames[`${name} ${i}`] = {
+            frame: { x: frame.x * scale, y: frame.y * scale, w, h },
+            rotated: false,
+            trimmed: false,
+            spriteSourceSize: { x: 0, y: 0, w, h },
+            sourceSize: { w, h },
+            duration
+        };
+    });
+
+    return {
+        frames: atlasFrames,
+        meta: {
+            app: 'PixelFixel',
+            version: '1.0',
+            image,
+            format: 'RGBA8888',
+            size: { w: width * scale, h: height * scale },
+            scale: '1',
+            frameTags: [],
+            layers: [],
+            slices: []
+        }
+    };
+}
@@ -0,0 +1,88 @@
+/**
+ * Palette mapping golden tests
+ * Maps a color sweep to every preset palette and compares the result pixel
+ * for pixel with the PNGs in test/golden. Run with UPDATE_GOLDEN=1 to
+ * rewrite them after an intended change, and review the new images.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { applyPalette } from '../paletteApply.js';
+import { PALETTES, getPalette } from '../presets.js';
+import { COLOR_METRICS, getColorMetric } from '../colorMetrics.js';
+import { decodePNG, encodePNG } from '../png.js';
+import { colorSweep } from './fixtures.js';
+
+const GOLDEN_DIR = fileURLToPath(new URL('./golden/', import.meta.url));
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+const SWEEP = colorSweep(48, 24);
+
+/**
+ * Squared RGB distance to the nearest palette color
+ * @param {Array<number>} color - [r, g, b] color
+ * @param {Array<Array<number>>} palette - Palette colors
+ * @returns {number} Smallest squared distance
+ */
+function nearestDistance(color, palette) {
+    let best = Infinity;
+    for (const p of palette) {
+        const dr = color[0] - p[0];
+        const dg = color[1] - p[1];
+        const db = color[2] - p[2];
+        best = Math.min(best, dr * dr + dg * dg + db * db);
+    }
+    return best;
+}
+
+for (const [key, { colors }] of Object.entries(PALETTES)) {
+    test(`applyPalette matches the golden image for ${key}`, () => {
+        const output = applyPalette(SWEEP, colors);
+        const file = `${GOLDEN_DIR}applyPalette-${key}.png`;
+
+        // Every visible pixel gets the nearest palette color; transparent ones stay transparent
+        for (let i = 0; i < SWEEP.data.length; i += 4) {
+            if (SWEEP.data[i + 3] === 0) {
+                assert.equal(output.data[i + 3], 0, `pixel ${i / 4} should stay transparent`);
+                continue;
+            }
+            const source = [SWEEP.data[i], SWEEP.data[i + 1], SWEEP.data[i + 2]];
+            const mapped = [output.data[i], output.data[i + 1], output.data[i + 2]];
+            assert.equal(nearestDistance(source, [mapped]), nearestDistance(source, colors),
+                `pixel ${i / 4} is not mapped to the nearest color`);
+        }
+
+        if (UPDATE) {
+            mkdirSync(GOLDEN_DIR, { recursive: true });
+            writeFileSync(file, encodePNG(output));
+            return;
+        }
+
+        const golden = decodePNG(new Uint8Array(readFileSync(file)));
+        assert.equal(output.width, golden.width);
+        assert.equal(output.height, golden.height);
+        assert.deepEqual(output.data, golden.data);
+    });
+}
+
+test('applyPalette picks the nearest color under every metric', () => {
+    const palette = getPalette('pico8');
+
+    for (const { key } of COLOR_METRICS) {
+        const metric = getColorMetric(key);
+        const points = palette.map(color => metric.toSpace(color));
+        const output = applyPalette(SWEEP, palette, { metric: key });
+
+        for (let i = 0; i < SWEEP.data.length; i += 4) {
+            if (SWEEP.data[i + 3] === 0) continue;
+            const point = metric.toSpace([SWEEP.data[i], SWEEP.data[i + 1], SWEEP.data[i + 2]]);
+            const mapped = metric.toSpace([output.data[i], output.data[i + 1], output.data[i + 2]]);
+            const nearest = Math.min(...points.map(p => metric.distance(point, p)));
+
+            // Palette points are stored as 32-bit floats, so allow rounding
+            assert.ok(metric.distance(point, mapped) <= nearest * (1 + 1e-5) + 1e-9,
+                `${key}: pixel ${i / 4} is not mapped to the nearest color`);
+        }
+    }
+});
@@ -0,0 +1,154 @@
+/**
+ * Synthetic test fixtures
+ * Pixel art with a known grid, upscaled the way AI image generators do:
+ * integer and fractional scales, shifted grids and JPEG-like noise
+ */
+
+import { createImageData } from '../imageData.js';
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create small pixel art: random cells from a random palette
+ * Neighboring cells always differ, so every cell boundary is an edge
+ * @param {number} width - Width in cells
+ * @param {number} height - Height in cells
+ * @param {Object} [options] - Fixture options
+ * @param {number} [options.colors=8] - Palette size
+ * @param {number} [options.seed=1] - Random seed
+ * @returns {ImageData} Image at one pixel per cell
+ */
+export function pixelArt(width, height, options = {}) {
+    const { colors = 8, seed = 1 } = options;
+    const random = createRandom(seed);
+    const palette = Array.from({ length: colors }, () => [0, 0, 0].map(() => Math.floor(random() * 256)));
+    const cells = new Uint8Array(width * height);
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let index;
+            do {
+                index = Math.floor(random() * colors);
+            } while ((x > 0 && index === cells[y * width + x - 1]) ||
+                (y > 0 && index === cells[(y - 1) * width + x]));
+            cells[y * width + x] = index;
+            data.set([...palette[index], 255], (y * width + x) * 4);
+        }
+    }
+
+    return createImageData(data, width, height);
+}
+
+/**
+ * Upscale pixel art onto a grid of (possibly fractional) cell sizes
+ * With an offset the image starts partway into the first cell, so the first
+ * whole cell starts at the offset; the last cell always ends at the border.
+ * @param {ImageData} art - Image at one pixel per cell
+ * @param {Object} options - Upscale options
+ * @param {number} options.hFactor - Cell width, may be fractional
+ * @param {number} [options.vFactor] - Cell height (defaults to hFactor)
+ * @param {number} [options.offsetX=0] - Where the first whole column starts
+ * @param {number} [options.offsetY=0] - Where the first whole row starts
+ * @returns {{image: ImageData, columns: number, rows: number}} Upscaled image
+ *          and its number of whole cells
+ */
+export function upscaleArt(art, options) {
+    const { hFactor, vFactor = hFactor, offsetX = 0, offsetY = 0 } = options;
+    const firstCol = offsetX > 0 ? 1 : 0;
+    const firstRow = offsetY > 0 ? 1 : 0;
+    const columns = art.width - firstCol;
+    const rows = art.height - firstRow;
+    const width = Math.round(offsetX + columns * hFactor);
+    const height = Math.round(offsetY + rows * vFactor);
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    // Pixels belong to the cell under their center
+    const cellOf = (position, offset, factor, first) => position + 0.5 < offset
+        ? 0
+        : first + Math.floor((position + 0.5 - offset) / factor);
+
+    for (let y = 0; y < height; y++) {
+        const row = cellOf(y, offsetY, vFactor, firstRow);
+        for (let x = 0; x < width; x++) {
+            const src = (row * art.width + cellOf(x, offsetX, hFactor, firstCol)) * 4;
+            data.set(art.data.subarray(src, src + 4), (y * width + x) * 4);
+        }
+    }
+
+    return { image: createImageData(data, width, height), columns, rows };
+}
+
+/**
+ * Add JPEG-like noise: per-pixel jitter plus a shift per 8×8 block
+ * @param {ImageData} image - Source image
+ * @param {number} amplitude - Largest change per channel
+ * @param {number} [seed=7] - Random seed
+ * @returns {ImageData} Noisy copy
+ */
+export function addNoise(image, amplitude, seed = 7) {
+    const { width, height } = image;
+    const random = createRandom(seed);
+    const blockColumns = Math.ceil(width / 8);
+    const blocks = Array.from({ length: blockColumns * Math.ceil(height / 8) },
+        () => (random() - 0.5) * amplitude);
+    const data = new Uint8ClampedArray(image.data);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const block = blocks[Math.floor(y / 8) * blockColumns + Math.floor(x / 8)];
+            const idx = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                data[idx + c] += block / 2 + (random() - 0.5) * amplitude;
+            }
+        }
+    }
+
+    return createImageData(data, width, height);
+}
+
+/**
+ * Create a color sweep covering hues, lightness and a transparent corner
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {ImageData} Gradient image
+ */
+export function colorSweep(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const hue = x / width * 6;
+            const light = y / (height - 1);
+            const sector = Math.floor(hue);
+            const f = hue - sector;
+            const rgb = [
+                [1, f, 0], [1 - f, 1, 0], [0, 1, f],
+                [0, 1 - f, 1], [f, 0, 1], [1, 0, 1 - f]
+            ][sector];
+            for (let c = 0; c < 3; c++) {
+                // Dark at the top, saturated in the middle, white at the bottom
+                const value = light < 0.5 ? rgb[c] * light * 2 : rgb[c] + (1 - rgb[c]) * (light - 0.5) * 2;
+                data[idx + c] = Math.round(value * 255);
+            }
+            data[idx + 3] = x < 2 && y < 2 ? 0 : 255;
+        }
+    }
+
+    return createImageData(data, width, height);
+}
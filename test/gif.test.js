@@ -0,0 +1,44 @@
+/**
+ * GIF encoder and decoder tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGIF, decodeGIF } from '../gif.js';
+import { createImageData } from '../imageData.js';
+import { colorSweep, pixelArt } from './fixtures.js';
+
+/**
+ * Build a one-pixel frame
+ * @param {Array<number>} pixel - [r, g, b, a]
+ * @returns {ImageData} Image data
+ */
+function solidFrame(pixel) {
+    return createImageData(new Uint8ClampedArray(pixel), 1, 1);
+}
+
+test('encodeGIF clamps frame delays instead of wrapping them', () => {
+    const frames = [solidFrame([255, 0, 0, 255]), solidFrame([0, 0, 255, 255])];
+    const delays = [40, 70000, 655350, 900000];
+    const animation = decodeGIF(encodeGIF(delays.map((_, i) => frames[i % 2]), { delays }));
+
+    assert.deepEqual(animation.frames.map(frame => frame.delay), [40, 70000, 655350, 655350]);
+});
+
+test('encodeGIF round-trips frames, transparency and the loop count', () => {
+    const frames = [1, 2, 3].map(seed => pixelArt(20, 16, { seed }));
+    // A fully transparent corner on the first frame
+    frames[0].data.fill(0, 0, 4);
+    const animation = decodeGIF(encodeGIF(frames, { delays: [100, 50, 200], loopCount: 2 }));
+
+    assert.equal(animation.loopCount, 2);
+    assert.deepEqual(animation.frames.map(frame => frame.delay), [100, 50, 200]);
+    animation.frames.forEach((frame, i) => assert.deepEqual(frame.imageData.data, frames[i].data));
+});
+
+test('encodeGIF reports too many colors as a GIF problem', () => {
+    assert.throws(
+        () => encodeGIF([colorSweep(64, 64)]),
+        { message: 'Frames need more than 256 colors together and cannot be saved as a GIF' }
+    );
+});
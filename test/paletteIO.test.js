@@ -0,0 +1,58 @@
+/**
+ * Palette file import and export tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePaletteFile, exportPalette } from '../paletteIO.js';
+
+const COLORS = [[0, 0, 0], [255, 255, 255], [190, 38, 51], [0, 87, 132], [68, 137, 26]];
+
+/**
+ * Turn exported palette data into file contents
+ * @param {string|Uint8Array} data - Exported text or bytes
+ * @returns {ArrayBuffer} File contents
+ */
+function toBuffer(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+test('exported palettes parse back to the same colors', () => {
+    for (const format of ['gpl', 'hex', 'pal', 'act']) {
+        const { data, extension } = exportPalette(COLORS, format, 'Test');
+        const palette = parsePaletteFile(`test.${extension}`, toBuffer(data));
+        assert.deepEqual(palette.colors, COLORS, format);
+    }
+});
+
+test('parsePaletteFile names palettes from the file or its file name', () => {
+    const gpl = exportPalette(COLORS, 'gpl', 'Forest').data;
+    assert.equal(parsePaletteFile('whatever.gpl', toBuffer(gpl)).name, 'Forest');
+    assert.equal(parsePaletteFile('forest.hex', toBuffer(exportPalette(COLORS, 'hex').data)).name, 'forest');
+});
+
+test('parsePaletteFile reads Lospec JSON and RIFF palettes', () => {
+    const json = JSON.stringify({ name: 'Lospec', colors: ['000000', 'ffffff', 'be2633'] });
+    assert.deepEqual(parsePaletteFile('p.json', toBuffer(json)), { name: 'Lospec', colors: COLORS.slice(0, 3) });
+
+    // "RIFF" size "PAL " then a data chunk holding a LOGPALETTE
+    const count = 3;
+    const bytes = new Uint8Array(24 + count * 4);
+    const view = new DataView(bytes.buffer);
+    bytes.set(new TextEncoder().encode('RIFF'), 0);
+    view.setUint32(4, bytes.length - 8, true);
+    bytes.set(new TextEncoder().encode('PAL data'), 8);
+    view.setUint32(16, 4 + count * 4, true);
+    view.setUint16(20, 0x300, true);
+    view.setUint16(22, count, true);
+    COLORS.slice(0, count).forEach((color, i) => bytes.set(color, 24 + i * 4));
+    assert.deepEqual(parsePaletteFile('riff.pal', bytes.buffer).colors, COLORS.slice(0, count));
+});
+
+test('parsePaletteFile rejects unknown and broken files', () => {
+    assert.throws(() => parsePaletteFile('p.xyz', toBuffer('000000')), /Unsupported palette format/);
+    assert.throws(() => parsePaletteFile('p.act', new ArrayBuffer(100)), /Invalid ACT file size/);
+    assert.throws(() => parsePaletteFile('p.hex', toBuffer('not a color')), /Invalid hex color/);
+    assert.throws(() => parsePaletteFile('p.gpl', toBuffer('')), /Not a GIMP palette/);
+});
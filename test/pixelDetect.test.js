@@ -0,0 +1,241 @@
+/**
+ * Grid detection tests
+ * Upscales known pixel art and checks that pixelDetect finds the cell size,
+ * the grid offset and the original resolution again
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pixelDetect, findPeaks, kCentroid, LOW_CONFIDENCE } from '../pixelDetect.js';
+import { COLOR_METRICS } from '../colorMetrics.js';
+import { pixelArt, upscaleArt, addNoise } from './fixtures.js';
+
+const ART = pixelArt(40, 32, { seed: 3 });
+
+const INTEGER_SCALES = [2, 3, 4, 5, 6, 8, 12];
+const FRACTIONAL_SCALES = [4.5, 5.5, 6.4, 7.5];
+const OFFSET_GRIDS = [
+    { hFactor: 6, offsetX: 3, offsetY: 2 },
+    { hFactor: 8, offsetX: 5, offsetY: 7 },
+    { hFactor: 5, vFactor: 3, offsetX: 1 }
+];
+
+/**
+ * Describe a fixture for test names
+ * @param {Object} grid - upscaleArt options
+ * @returns {string} Short description
+ */
+function describeGrid(grid) {
+    const { hFactor, vFactor = hFactor, offsetX = 0, offsetY = 0 } = grid;
+    return `${hFactor}×${vFactor}` + (offsetX || offsetY ? ` offset ${offsetX},${offsetY}` : '');
+}
+
+test('findPeaks returns strict local maxima', () => {
+    assert.deepEqual(findPeaks([0, 3, 1, 1, 5, 2, 2, 2, 4]), [1, 4]);
+    assert.deepEqual(findPeaks([1, 1, 1, 1]), []);
+    assert.deepEqual(findPeaks([]), []);
+});
+
+test('findPeaks honors the minimum height and distance', () => {
+    const data = [0, 2, 0, 9, 0, 3, 0, 8, 0];
+    assert.deepEqual(findPeaks(data, 1, 5), [3, 7]);
+    assert.deepEqual(findPeaks(data, 3), [1, 5]);
+});
+
+for (const factor of INTEGER_SCALES) {
+    for (const grid of ['uniform', 'adaptive']) {
+        test(`pixelDetect finds a clean ${factor}x upscale (${grid} grid)`, () => {
+            const { image, columns, rows } = upscaleArt(ART, { hFactor: factor });
+            const result = pixelDetect(image, { grid });
+
+            assert.equal(result.hFactor, factor);
+            assert.equal(result.vFactor, factor);
+            assert.equal(result.offsetX, 0);
+            assert.equal(result.offsetY, 0);
+            assert.equal(result.downscaled.width, columns);
+            assert.equal(result.downscaled.height, rows);
+            assert.deepEqual(result.downscaled.data, ART.data);
+        });
+    }
+}
+
+test('pixelDetect finds different horizontal and vertical factors', () => {
+    const { image, columns, rows } = upscaleArt(ART, { hFactor: 4, vFactor: 6 });
+    const result = pixelDetect(image);
+
+    assert.equal(result.hFactor, 4);
+    assert.equal(result.vFactor, 6);
+    assert.equal(result.downscaled.width, columns);
+    assert.equal(result.downscaled.height, rows);
+});
+
+for (const options of OFFSET_GRIDS) {
+    test(`pixelDetect finds a shifted grid (${describeGrid(options)})`, () => {
+        const { image, columns, rows } = upscaleArt(ART, options);
+        const result = pixelDetect(image);
+
+        assert.equal(result.hFactor, options.hFactor);
+        assert.equal(result.vFactor, options.vFactor || options.hFactor);
+        assert.equal(result.offsetX, options.offsetX || 0);
+        assert.equal(result.offsetY, options.offsetY || 0);
+        assert.equal(result.downscaled.width, columns);
+        assert.equal(result.downscaled.height, rows);
+    });
+}
+
+for (const factor of FRACTIONAL_SCALES) {
+    test(`pixelDetect finds a fractional ${factor}x upscale within half a pixel`, () => {
+        const { image, columns, rows } = upscaleArt(ART, { hFactor: factor });
+        const result = pixelDetect(image, { grid: 'adaptive' });
+
+        // Cells alternate between two sizes, so allow a cell lost at a border
+        assert.ok(Math.abs(result.hFactor - factor) <= 0.5, `hFactor ${result.hFactor}`);
+        assert.ok(Math.abs(result.vFactor - factor) <= 0.5, `vFactor ${result.vFactor}`);
+        assert.ok(Math.abs(result.downscaled.width - columns) <= 1, `width ${result.downscaled.width}`);
+        assert.ok(Math.abs(result.downscaled.height - rows) <= 1, `height ${result.downscaled.height}`);
+    });
+}
+
+/**
+ * Distance between two grid offsets, which repeat every cell
+ * @param {number} a - Offset
+ * @param {number} b - Offset
+ * @param {number} period - Cell size
+ * @returns {number} Shortest distance
+ */
+function phaseDistance(a, b, period) {
+    const d = Math.abs(a - b) % period;
+    return Math.min(d, period - d);
+}
+
+// Both methods handle JPEG-like noise. Peak spacing comes in whole pixels, so
+// it lands within half a pixel of fractional sizes; the FFT detector measures
+// the fundamental frequency and finds them exactly.
+const NOISY_GRIDS = [{ hFactor: 3 }, { hFactor: 4 }, { hFactor: 6 }, { hFactor: 12 },
+    { hFactor: 8, offsetX: 5, offsetY: 7 }, { hFactor: 4, vFactor: 6 }, { hFactor: 5.5 }, { hFactor: 6.4 }];
+
+for (const grid of NOISY_GRIDS) {
+    for (const amplitude of [8, 24, 60]) {
+        test(`pixelDetect (peaks) finds a ${describeGrid(grid)} upscale with noise ±${amplitude / 2}`, () => {
+            const { image, columns, rows } = upscaleArt(ART, grid);
+            const result = pixelDetect(addNoise(image, amplitude), { grid: 'adaptive' });
+            const { hFactor, vFactor = hFactor } = grid;
+
+            assert.equal(result.method, 'peaks');
+            assert.ok(Math.abs(result.hFactor - hFactor) <= 0.5, `hFactor ${result.hFactor}`);
+            assert.ok(Math.abs(result.vFactor - vFactor) <= 0.5, `vFactor ${result.vFactor}`);
+            assert.ok(Math.abs(result.downscaled.width - columns) <= 1, `width ${result.downscaled.width}`);
+            assert.ok(Math.abs(result.downscaled.height - rows) <= 1, `height ${result.downscaled.height}`);
+        });
+    }
+}
+
+for (const grid of NOISY_GRIDS) {
+    for (const amplitude of [0, 8, 24, 60]) {
+        test(`pixelDetect (fft) finds a ${describeGrid(grid)} upscale with noise ±${amplitude / 2}`, () => {
+            const { image, columns, rows } = upscaleArt(ART, grid);
+            const input = amplitude ? addNoise(image, amplitude) : image;
+            const result = pixelDetect(input, { method: 'fft', grid: 'adaptive' });
+            const { hFactor, vFactor = hFactor, offsetX = 0, offsetY = 0 } = grid;
+
+            assert.equal(result.method, 'fft');
+            assert.equal(result.hFactor, hFactor);
+            assert.equal(result.vFactor, vFactor);
+            assert.ok(phaseDistance(result.offsetX, offsetX, hFactor) <= 1, `offsetX ${result.offsetX}`);
+            assert.ok(phaseDistance(result.offsetY, offsetY, vFactor) <= 1, `offsetY ${result.offsetY}`);
+            assert.ok(Math.abs(result.downscaled.width - columns) <= 1, `width ${result.downscaled.width}`);
+            assert.ok(Math.abs(result.downscaled.height - rows) <= 1, `height ${result.downscaled.height}`);
+        });
+    }
+}
+
+test('pixelDetect reports the peak method by default', () => {
+    const { image } = upscaleArt(ART, { hFactor: 4 });
+    assert.equal(pixelDetect(image).method, 'peaks');
+});
+
+test('pixelDetect is confident about clean upscales', () => {
+    for (const grid of [{ hFactor: 4 }, { hFactor: 8, offsetX: 5, offsetY: 7 }, { hFactor: 4, vFactor: 6 }]) {
+        const { image } = upscaleArt(ART, grid);
+        const result = pixelDetect(image);
+
+        assert.ok(result.confidence >= 0.9, `${describeGrid(grid)}: confidence ${result.confidence}`);
+        assert.equal(result.isNative, false);
+        assert.deepEqual(
+            [result.candidates[0].hFactor, result.candidates[0].vFactor],
+            [grid.hFactor, grid.vFactor || grid.hFactor]
+        );
+    }
+});
+
+test('pixelDetect offers the real grid when noise misleads it', () => {
+    const { image } = upscaleArt(ART, { hFactor: 8, offsetX: 5, offsetY: 7 });
+    const result = pixelDetect(addNoise(image, 160), { method: 'peaks' });
+
+    assert.notEqual(result.hFactor, 8, 'the fixture should mislead peak picking');
+    assert.ok(result.confidence < LOW_CONFIDENCE, `confidence ${result.confidence}`);
+    const best = result.candidates[0];
+    assert.deepEqual([best.hFactor, best.vFactor, best.offsetX, best.offsetY], [8, 8, 5, 7]);
+});
+
+test('pixelDetect flags pixel art that is already 1:1', () => {
+    const art = pixelArt(120, 90, { seed: 5 });
+    const result = pixelDetect(art);
+
+    assert.equal(result.isNative, true);
+    assert.ok(result.confidence < LOW_CONFIDENCE);
+    assert.equal(result.candidates[0].hFactor, 1);
+    assert.equal(result.candidates[0].vFactor, 1);
+
+    // Native images are not downscaled
+    assert.deepEqual([result.hFactor, result.vFactor], [1, 1]);
+    assert.deepEqual(result.downscaled.data, art.data);
+});
+
+test('pixelDetect handles an image without edges', () => {
+    const flat = { data: new Uint8ClampedArray(32 * 32 * 4).fill(200), width: 32, height: 32 };
+    const result = pixelDetect(flat);
+
+    assert.equal(result.hFactor, 1);
+    assert.equal(result.vFactor, 1);
+    assert.equal(result.confidence, 0);
+    assert.equal(result.downscaled.width, 32);
+});
+
+test('pixelDetect snaps to a target resolution', () => {
+    const { image } = upscaleArt(ART, { hFactor: 6 });
+    const result = pixelDetect(image, { target: { width: 20, height: 16 } });
+
+    assert.equal(result.downscaled.width, 20);
+    assert.equal(result.downscaled.height, 16);
+    assert.equal(result.hFactor, 12);
+    assert.equal(result.vFactor, 12);
+});
+
+test('kCentroid recovers the cells of a clean upscale', () => {
+    const { image } = upscaleArt(ART, { hFactor: 5 });
+    const result = kCentroid(image, ART.width, ART.height, 2, { cellWidth: 5, cellHeight: 5 });
+
+    assert.equal(result.width, ART.width);
+    assert.equal(result.height, ART.height);
+    assert.deepEqual(result.data, ART.data);
+});
+
+test('kCentroid recovers the same cells with every color metric', () => {
+    const { image } = upscaleArt(ART, { hFactor: 4 });
+
+    for (const { key } of COLOR_METRICS) {
+        const result = kCentroid(image, ART.width, ART.height, 2, { cellWidth: 4, cellHeight: 4, metric: key });
+        assert.deepEqual(result.data, ART.data, key);
+    }
+});
+
+test('kCentroid keeps the dominant color of noisy cells', () => {
+    const { image } = upscaleArt(ART, { hFactor: 8 });
+    const result = kCentroid(addNoise(image, 16), ART.width, ART.height, 2, { cellWidth: 8, cellHeight: 8 });
+
+    // The noise moves a channel by at most 4 (block) + 8 (pixel)
+    for (let i = 0; i < ART.data.length; i++) {
+        assert.ok(Math.abs(result.data[i] - ART.data[i]) <= 12, `channel ${i}: ${result.data[i]} vs ${ART.data[i]}`);
+    }
+});
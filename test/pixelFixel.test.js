@@ -0,0 +1,28 @@
+/**
+ * Library entry point tests
+ * Runs the whole fix through fixPixelArt, the way the CLI and worker use it
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixPixelArt } from '../pixelFixel.js';
+import { pixelArt, upscaleArt } from './fixtures.js';
+
+test('fixPixelArt downscales an upscale to one pixel per cell', () => {
+    const art = pixelArt(40, 32, { seed: 3 });
+    const result = fixPixelArt(upscaleArt(art, { hFactor: 4 }).image);
+
+    assert.equal(result.isNative, false);
+    assert.deepEqual([result.hFactor, result.vFactor], [4, 4]);
+    assert.deepEqual([result.width, result.height], [40, 32]);
+});
+
+test('fixPixelArt keeps the size of pixel art that is already 1:1', () => {
+    const art = pixelArt(120, 90, { seed: 5 });
+    const result = fixPixelArt(art, { scale: 2 });
+
+    assert.equal(result.isNative, true);
+    assert.deepEqual([result.hFactor, result.vFactor, result.offsetX, result.offsetY], [1, 1, 0, 0]);
+    assert.deepEqual([result.width, result.height], [120, 90]);
+    assert.deepEqual([result.imageData.width, result.imageData.height], [240, 180]);
+});
@@ -0,0 +1,103 @@
+/**
+ * PNG encoder and decoder tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeIndexedPNG, encodePNG, decodePNG, encodeAPNG, decodeAPNG, isAnimatedPNG } from '../png.js';
+import { createImageData } from '../imageData.js';
+import { colorSweep, pixelArt } from './fixtures.js';
+
+/**
+ * Read the chunks of a PNG file
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Map<string, Uint8Array>} Chunk data by type (the first of each)
+ */
+function readChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = new Map();
+    for (let pos = 8; pos < bytes.length;) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        if (!chunks.has(type)) chunks.set(type, bytes.subarray(pos + 8, pos + 8 + length));
+        pos += 12 + length;
+    }
+    return chunks;
+}
+
+/**
+ * Build an image from a list of RGBA pixels
+ * @param {Array<Array<number>>} pixels - [r, g, b, a] per pixel
+ * @param {number} width - Image width
+ * @returns {ImageData} Image data
+ */
+function imageFromPixels(pixels, width) {
+    return createImageData(new Uint8ClampedArray(pixels.flat()), width, pixels.length / width);
+}
+
+const PALETTE = [[255, 0, 0], [0, 255, 0], [0, 0, 255]];
+
+test('encodeIndexedPNG keeps the palette order in PLTE', () => {
+    const image = imageFromPixels([[0, 0, 255, 255], [255, 0, 0, 255]], 2);
+    const chunks = readChunks(encodeIndexedPNG(image, PALETTE));
+
+    assert.deepEqual([...chunks.get('PLTE')], PALETTE.flat());
+    assert.equal(chunks.has('tRNS'), false);
+});
+
+test('encodeIndexedPNG puts transparency after the palette entries', () => {
+    const image = imageFromPixels([[0, 0, 255, 255], [0, 0, 0, 0], [255, 0, 0, 255], [9, 9, 9, 255]], 2);
+    const png = encodeIndexedPNG(image, PALETTE);
+    const chunks = readChunks(png);
+
+    // Palette, then the transparent entry, then colors missing from the palette
+    assert.deepEqual([...chunks.get('PLTE')], [...PALETTE.flat(), 0, 0, 0, 9, 9, 9]);
+    assert.deepEqual([...chunks.get('tRNS')], [255, 255, 255, 0]);
+    assert.deepEqual(decodePNG(png).data, image.data);
+});
+
+test('encodeAPNG keeps long frame delays', () => {
+    const frames = [[255, 0, 0, 255], [0, 0, 255, 255]].map(pixel => imageFromPixels([pixel], 1));
+    const delays = [40, 65535, 70000, 655350, 900000];
+    const animation = decodeAPNG(encodeAPNG(delays.map((_, i) => frames[i % 2]), { delays }));
+
+    // Past 65535 ms delays are stored in hundredths of a second, up to 655350 ms
+    assert.deepEqual(animation.frames.map(frame => frame.delay), [40, 65535, 70000, 655350, 655350]);
+});
+
+test('encodePNG round-trips RGBA pixels', () => {
+    const image = colorSweep(48, 32);
+    const png = encodePNG(image);
+
+    assert.equal(isAnimatedPNG(png), false);
+    assert.deepEqual(decodePNG(png).data, image.data);
+});
+
+test('encodeIndexedPNG uses the smallest bit depth and round-trips', () => {
+    for (const [colors, bitDepth] of [[2, 1], [4, 2], [16, 4], [200, 8]]) {
+        const image = pixelArt(40, 30, { colors, seed: colors });
+        const png = encodeIndexedPNG(image);
+
+        assert.equal(readChunks(png).get('IHDR')[8], bitDepth, `${colors} colors`);
+        assert.deepEqual(decodePNG(png).data, image.data, `${colors} colors`);
+    }
+});
+
+test('encodeIndexedPNG rejects images with more than 256 colors', () => {
+    assert.throws(() => encodeIndexedPNG(colorSweep(64, 64)), /more than 256 palette entries/);
+});
+
+test('encodeAPNG round-trips frames and the loop count', () => {
+    const frames = [1, 2, 3].map(seed => pixelArt(16, 12, { seed }));
+    const png = encodeAPNG(frames, { delays: [100, 250, 80], loopCount: 3 });
+    const animation = decodeAPNG(png);
+
+    assert.equal(isAnimatedPNG(png), true);
+    assert.equal(animation.loopCount, 3);
+    assert.deepEqual(animation.frames.map(frame => frame.delay), [100, 250, 80]);
+    animation.frames.forEach((frame, i) => assert.deepEqual(frame.imageData.data, frames[i].data));
+});
+
+test('decodePNG rejects files that are not PNGs', () => {
+    assert.throws(() => decodePNG(new TextEncoder().encode('GIF89a, not a PNG')));
+});
@@ -0,0 +1,93 @@
+/**
+ * Color quantization tests
+ * Median cut and the automatic color count on images with known colors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHistogram, medianCut, generatePalette, QUANTIZERS } from '../quantizers.js';
+import { determineBestK, quantizeImage, getUniqueColors } from '../paletteApply.js';
+import { createImageData } from '../imageData.js';
+import { addNoise, pixelArt } from './fixtures.js';
+
+const COLORS = [
+    [0, 0, 0], [255, 255, 255], [220, 40, 40], [40, 200, 60],
+    [40, 60, 220], [240, 220, 40], [200, 60, 200], [60, 220, 220]
+];
+
+/**
+ * Create an image that repeats the first count colors
+ * @param {number} count - Number of colors
+ * @returns {ImageData} 64×64 image
+ */
+function flatColors(count) {
+    const data = new Uint8ClampedArray(64 * 64 * 4);
+    for (let i = 0; i < 64 * 64; i++) {
+        data.set([...COLORS[i % count], 255], i * 4);
+    }
+    return createImageData(data, 64, 64);
+}
+
+/**
+ * Sort colors for order-independent comparison
+ * @param {Array<Array<number>>} colors - [r, g, b] colors
+ * @returns {Array<Array<number>>} Sorted copy
+ */
+function sortColors(colors) {
+    return [...colors].sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]);
+}
+
+test('medianCut separates exactly as many colors as it is given', () => {
+    for (const count of [2, 4, 8]) {
+        const { palette, distortions } = medianCut(buildHistogram(flatColors(count)), count);
+
+        assert.deepEqual(sortColors(palette), sortColors(COLORS.slice(0, count)));
+        assert.equal(distortions.length, count);
+        assert.equal(distortions[count - 1], 0);
+    }
+});
+
+test('medianCut distortion never grows with more colors', () => {
+    const { distortions } = medianCut(buildHistogram(addNoise(flatColors(8), 40)), 16);
+
+    for (let i = 1; i < distortions.length; i++) {
+        assert.ok(distortions[i] <= distortions[i - 1], `distortion rises at ${i + 1} colors`);
+    }
+});
+
+test('every quantizer returns at most the requested number of colors', () => {
+    const histogram = buildHistogram(addNoise(flatColors(8), 40));
+
+    for (const { key } of QUANTIZERS) {
+        const palette = generatePalette(histogram, 5, { quantizer: key });
+        assert.ok(palette.length >= 1 && palette.length <= 5, `${key}: ${palette.length} colors`);
+    }
+});
+
+test('quantizeImage output only uses its palette', () => {
+    const { imageData, palette } = quantizeImage(addNoise(flatColors(6), 30), 6);
+    const used = getUniqueColors(imageData);
+
+    assert.ok(used.length <= palette.length);
+    for (const color of used) {
+        assert.ok(palette.some(p => p.every((v, c) => v === color[c])), `${color} not in palette`);
+    }
+});
+
+test('determineBestK stays within its bounds', () => {
+    assert.equal(determineBestK(createImageData(new Uint8ClampedArray(16), 2, 2)), 2);
+
+    // Pixel art that picks 8 colors on its own stays under a smaller maxK
+    const art = pixelArt(64, 64, { seed: 2 });
+    assert.equal(determineBestK(art), 8);
+    for (const maxK of [3, 4, 6]) {
+        const k = determineBestK(art, maxK);
+        assert.ok(k >= 2 && k <= maxK, `maxK ${maxK}: k = ${k}`);
+    }
+});
+
+test('determineBestK finds the color count of flat images', () => {
+    for (const count of [2, 3, 4, 6, 8]) {
+        assert.equal(determineBestK(flatColors(count)), count);
+    }
+});
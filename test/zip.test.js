@@ -0,0 +1,82 @@
+/**
+ * ZIP writer tests
+ * Archives are read back through their central directory
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip } from '../zip.js';
+import { crc32, inflateRaw } from '../zlib.js';
+import { encodeIndexedPNG, encodePNG, decodePNG } from '../png.js';
+import { upscale } from '../imageExport.js';
+import { colorSweep, pixelArt } from './fixtures.js';
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {Uint8Array} zip - ZIP file contents
+ * @returns {Array<{name: string, method: number, data: Uint8Array}>} Entries
+ *          in central directory order, decompressed and CRC-checked
+ */
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const end = zip.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+
+    const entries = [];
+    let pos = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        assert.equal(view.getUint32(pos, true), 0x02014b50);
+        const method = view.getUint16(pos + 10, true);
+        const crc = view.getUint32(pos + 16, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const offset = view.getUint32(pos + 42, true);
+        const name = new TextDecoder().decode(zip.subarray(pos + 46, pos + 46 + nameLength));
+
+        // The body follows the local header and its copy of the name
+        assert.equal(view.getUint32(offset, true), 0x04034b50);
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const body = zip.subarray(start, start + compressedSize);
+        const data = method === 8 ? inflateRaw(body) : body;
+        assert.equal(crc32(data), crc, name);
+
+        entries.push({ name, method, data });
+        pos += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('createZip round-trips stored and deflated entries', () => {
+    const encoder = new TextEncoder();
+    const files = [
+        { name: 'notes.txt', data: encoder.encode('pixel '.repeat(1000)) },
+        { name: 'tiny.bin', data: new Uint8Array([1, 2, 3]) },
+        { name: 'empty.txt', data: new Uint8Array(0) },
+        { name: 'sprites/héros.txt', data: encoder.encode('ünïcode name') }
+    ];
+    const entries = readZip(createZip(files, new Date(2024, 4, 6, 12, 30)));
+
+    assert.deepEqual(entries.map(entry => entry.name), files.map(file => file.name));
+    assert.equal(entries[0].method, 8);
+    assert.equal(entries[1].method, 0);
+    entries.forEach((entry, i) => assert.deepEqual(entry.data, files[i].data));
+});
+
+test('batch ZIP PNGs decode to the processed images', () => {
+    // The batch ZIP writes indexed PNGs, with RGBA for more than 256 colors
+    const outputs = [pixelArt(24, 16, { seed: 4 }), colorSweep(32, 32)];
+    const files = outputs.map((image, i) => {
+        const output = upscale(image, 2);
+        let data;
+        try {
+            data = encodeIndexedPNG(output);
+        } catch (err) {
+            data = encodePNG(output);
+        }
+        return { name: `image${i}-2x-auto.png`, data };
+    });
+
+    readZip(createZip(files)).forEach((entry, i) => {
+        assert.deepEqual(decodePNG(entry.data).data, upscale(outputs[i], 2).data, entry.name);
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Deflate, inflate and checksum tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, adler32, deflateRaw, inflateRaw, zlibCompress, zlibDecompress } from '../zlib.js';
+import { createRandom } from './fixtures.js';
+
+/**
+ * Build test inputs: empty, repetitive, text-like and incompressible bytes
+ * @returns {Object<string, Uint8Array>} Inputs by name
+ */
+function samples() {
+    const random = createRandom(11);
+    const noise = new Uint8Array(70000).map(() => Math.floor(random() * 256));
+    const runs = new Uint8Array(100000).map((_, i) => Math.floor(i / 300) % 3);
+    const text = new TextEncoder().encode('pixel '.repeat(5000) + 'fixel');
+    return { empty: new Uint8Array(0), single: new Uint8Array([42]), runs, text, noise };
+}
+
+test('crc32 and adler32 match the reference values', () => {
+    const check = new TextEncoder().encode('123456789');
+    assert.equal(crc32(check), 0xcbf43926);
+    assert.equal(adler32(new TextEncoder().encode('Wikipedia')), 0x11e60398);
+});
+
+test('inflateRaw restores what deflateRaw compressed', () => {
+    for (const [name, bytes] of Object.entries(samples())) {
+        assert.deepEqual(inflateRaw(deflateRaw(bytes)), bytes, name);
+    }
+});
+
+test('zlibDecompress restores what zlibCompress compressed', () => {
+    for (const [name, bytes] of Object.entries(samples())) {
+        const compressed = zlibCompress(bytes);
+        assert.deepEqual(zlibDecompress(compressed), bytes, name);
+        if (name === 'runs' || name === 'text') {
+            assert.ok(compressed.length < bytes.length / 10, `${name}: ${compressed.length} bytes`);
+        }
+    }
+});
+
+test('zlibDecompress rejects a corrupted checksum', () => {
+    const compressed = zlibCompress(new TextEncoder().encode('pixelfixel'));
+    compressed[compressed.length - 1] ^= 0xff;
+    assert.throws(() => zlibDecompress(compressed));
+});
@@ -0,0 +1,113 @@
+/**
+ * Minimal ZIP archive writer
+ * Builds a ZIP file in memory so batch results can be downloaded at once
+ */
+
+import { crc32, deflateRaw } from './zlib.js';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_SIGNATURE = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+const VERSION = 20; // 2.0: deflate
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date (local time, years 1980-2107)
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function dosDateTime(date) {
+    const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Create a ZIP archive
+ * Entries are deflated unless that doesn't make them smaller
+ * @param {Array<{name: string, data: Uint8Array}>} entries - Files to add;
+ *        names are paths inside the archive and should be unique
+ * @param {Date} [date] - Modification time for all entries (defaults to now)
+ * @returns {Uint8Array} ZIP file contents
+ */
+export function createZip(entries, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date: dosDate } = dosDateTime(date);
+    const files = [];
+    let offset = 0;
+
+    // Compress everything first so the output size is known
+    for (const { name, data } of entries) {
+        const nameBytes = encoder.encode(name);
+        const deflated = deflateRaw(data);
+        const stored = deflated.length >= data.length;
+
+        files.push({
+            nameBytes,
+            method: stored ? METHOD_STORE : METHOD_DEFLATE,
+            body: stored ? data : deflated,
+            size: data.length,
+            crc: crc32(data),
+            offset
+        });
+        offset += 30 + nameBytes.length + (stored ? data.length : deflated.length);
+    }
+
+    const centralSize = files.reduce((sum, file) => sum + 46 + file.nameBytes.length, 0);
+    const output = new Uint8Array(offset + centralSize + 22);
+    const view = new DataView(output.buffer);
+    let pos = 0;
+
+    // Shared fields of local and central headers, from "version needed" on
+    const writeCommon = (file) => {
+        view.setUint16(pos, VERSION, true);
+        view.setUint16(pos + 2, FLAG_UTF8, true);
+        view.setUint16(pos + 4, file.method, true);
+        view.setUint16(pos + 6, time, true);
+        view.setUint16(pos + 8, dosDate, true);
+        view.setUint32(pos + 10, file.crc, true);
+        view.setUint32(pos + 14, file.body.length, true);
+        view.setUint32(pos + 18, file.size, true);
+        view.setUint16(pos + 22, file.nameBytes.length, true);
+        view.setUint16(pos + 24, 0, true); // Extra field length
+        pos += 26;
+    };
+
+    // Local headers and file data
+    for (const file of files) {
+        view.setUint32(pos, LOCAL_HEADER_SIGNATURE, true);
+        pos += 4;
+        writeCommon(file);
+        output.set(file.nameBytes, pos);
+        pos += file.nameBytes.length;
+        output.set(file.body, pos);
+        pos += file.body.length;
+    }
+
+    // Central directory
+    for (const file of files) {
+        view.setUint32(pos, CENTRAL_HEADER_SIGNATURE, true);
+        view.setUint16(pos + 4, VERSION, true); // Version made by
+        pos += 6;
+        writeCommon(file);
+        // Comment length, disk number, internal and external attributes stay 0
+        view.setUint32(pos + 10, file.offset, true);
+        pos += 14;
+        output.set(file.nameBytes, pos);
+        pos += file.nameBytes.length;
+    }
+
+    // End of central directory record
+    view.setUint32(pos, END_SIGNATURE, true);
+    view.setUint16(pos + 8, files.length, true);
+    view.setUint16(pos + 10, files.length, true);
+    view.setUint32(pos + 12, centralSize, true);
+    view.setUint32(pos + 16, offset, true);
+
+    return output;
+}
@@ -0,0 +1,523 @@
+/**
+ * Minimal zlib/deflate implementation
+ * Enough compression for PNG output, and decompression for PNG input,
+ * without any native or third-party code
+ */
+
+// Length code bases and extra bits for codes 257-285
+const LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+
+// Distance code bases and extra bits for codes 0-29
+const DIST_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DIST_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+const HASH_SIZE = 1 << 15;
+
+let crcTable = null;
+
+/**
+ * CRC-32 (as used by PNG and ZIP)
+ * @param {Uint8Array} bytes - Data
+ * @param {number} [crc=0] - Running CRC to continue from
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes, crc = 0) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let c = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return ~c >>> 0;
+}
+
+/**
+ * Adler-32 checksum (zlib trailer)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned Adler-32
+ */
+export function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length;) {
+        // Process in runs short enough that the sums can't overflow
+        const end = Math.min(i + 5552, bytes.length);
+        for (; i < end; i++) {
+            a += bytes[i];
+            b += a;
+        }
+        a %= 65521;
+        b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Little-endian bit writer for deflate streams
+ */
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(Math.max(64, capacity));
+        this.length = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    /**
+     * Write the low `count` bits of `value`, least significant bit first
+     */
+    writeBits(value, count) {
+        this.bitBuffer |= value << this.bitCount;
+        this.bitCount += count;
+        while (this.bitCount >= 8) {
+            this.pushByte(this.bitBuffer & 0xff);
+            this.bitBuffer >>>= 8;
+            this.bitCount -= 8;
+        }
+    }
+
+    /**
+     * Write a Huffman code (codes are defined most significant bit first)
+     */
+    writeCode(code, length) {
+        let reversed = 0;
+        for (let i = 0; i < length; i++) {
+            reversed = (reversed << 1) | ((code >> i) & 1);
+        }
+        this.writeBits(reversed, length);
+    }
+
+    pushByte(byte) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = byte;
+    }
+
+    finish() {
+        if (this.bitCount > 0) this.pushByte(this.bitBuffer & 0xff);
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+/**
+ * Write a literal/length symbol with the fixed Huffman code
+ * @param {BitWriter} writer - Output
+ * @param {number} symbol - Symbol 0-287
+ */
+function writeFixedLiteral(writer, symbol) {
+    if (symbol < 144) writer.writeCode(0x30 + symbol, 8);
+    else if (symbol < 256) writer.writeCode(0x190 + symbol - 144, 9);
+    else if (symbol < 280) writer.writeCode(symbol - 256, 7);
+    else writer.writeCode(0xc0 + symbol - 280, 8);
+}
+
+/**
+ * Write a match (length, distance) with fixed Huffman codes
+ * @param {BitWriter} writer - Output
+ * @param {number} length - Match length (3-258)
+ * @param {number} distance - Match distance (1-32768)
+ */
+function writeMatch(writer, length, distance) {
+    let code = LENGTH_BASE.length - 1;
+    while (LENGTH_BASE[code] > length) code--;
+    writeFixedLiteral(writer, 257 + code);
+    if (LENGTH_EXTRA[code]) writer.writeBits(length - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+
+    let distCode = DIST_BASE.length - 1;
+    while (DIST_BASE[distCode] > distance) distCode--;
+    writer.writeCode(distCode, 5);
+    if (DIST_EXTRA[distCode]) writer.writeBits(distance - DIST_BASE[distCode], DIST_EXTRA[distCode]);
+}
+
+/**
+ * Compress data as a raw deflate stream
+ * Single block with fixed Huffman codes and hash-chained LZ77 matching
+ * @param {Uint8Array} bytes - Data
+ * @returns {Uint8Array} Deflate stream
+ */
+export function deflateRaw(bytes) {
+    const writer = new BitWriter(bytes.length / 2 + 16);
+    writer.writeBits(1, 1); // BFINAL
+    writer.writeBits(1, 2); // BTYPE = fixed Huffman
+
+    const head = new Int32Array(HASH_SIZE).fill(-1);
+    const prev = new Int32Array(WINDOW_SIZE);
+    const hashAt = (i) => ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & (HASH_SIZE - 1);
+    const insert = (i) => {
+        if (i + MIN_MATCH > bytes.length) return;
+        const hash = hashAt(i);
+        prev[i & (WINDOW_SIZE - 1)] = head[hash];
+        head[hash] = i;
+    };
+
+    let i = 0;
+    while (i < bytes.length) {
+        let bestLength = 0;
+        let bestDistance = 0;
+
+        if (i + MIN_MATCH <= bytes.length) {
+            const maxLength = Math.min(MAX_MATCH, bytes.length - i);
+            let candidate = head[hashAt(i)];
+            for (let chain = 0; candidate >= 0 && i - candidate <= WINDOW_SIZE && chain < MAX_CHAIN; chain++) {
+                let length = 0;
+                while (length < maxLength && bytes[candidate + length] === bytes[i + length]) length++;
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestDistance = i - candidate;
+                    if (length === maxLength) break;
+                }
+                const next = prev[candidate & (WINDOW_SIZE - 1)];
+                if (next >= candidate) break;
+                candidate = next;
+            }
+        }
+
+        if (bestLength >= MIN_MATCH) {
+            writeMatch(writer, bestLength, bestDistance);
+            for (let k = 0; k < bestLength; k++) insert(i + k);
+            i += bestLength;
+        } else {
+            writeFixedLiteral(writer, bytes[i]);
+            insert(i);
+            i++;
+        }
+    }
+
+    writeFixedLiteral(writer, 256); // End of block
+    return writer.finish();
+}
+
+/**
+ * Compress data as a zlib stream (header, deflate data, Adler-32)
+ * @param {Uint8Array} bytes - Data
+ * @returns {Uint8Array} zlib stream
+ */
+export function zlibCompress(bytes) {
+    const deflated = deflateRaw(bytes);
+    const output = new Uint8Array(deflated.length + 6);
+    output[0] = 0x78; // CM = 8 (deflate), 32K window
+    output[1] = 0x01; // No dictionary, fastest level, FCHECK
+    output.set(deflated, 2);
+
+    const checksum = adler32(bytes);
+    output[output.length - 4] = checksum >>> 24;
+    output[output.length - 3] = (checksum >>> 16) & 0xff;
+    output[output.length - 2] = (checksum >>> 8) & 0xff;
+    output[output.length - 1] = checksum & 0xff;
+    return output;
+}
+
+// Order in which code length code lengths are stored in a dynamic block header
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let fixedTables = null;
+
+/**
+ * Little-endian bit reader for deflate streams
+ * Reads past the end return zero bits; overruns are caught when bits are used
+ */
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    /**
+     * Look at the next `count` bits without consuming them
+     */
+    peekBits(count) {
+        while (this.bitCount < count) {
+            const byte = this.pos < this.bytes.length ? this.bytes[this.pos] : 0;
+            this.pos++;
+            this.bitBuffer |= byte << this.bitCount;
+            this.bitCount += 8;
+        }
+        return this.bitBuffer & ((1 << count) - 1);
+    }
+
+    /**
+     * Consume `count` bits
+     */
+    dropBits(count) {
+        this.bitBuffer >>>= count;
+        this.bitCount -= count;
+        if (this.pos - (this.bitCount >> 3) > this.bytes.length) {
+            throw new Error('Unexpected end of deflate data');
+        }
+    }
+
+    readBits(count) {
+        const value = this.peekBits(count);
+        this.dropBits(count);
+        return value;
+    }
+
+    /**
+     * Skip to the next byte boundary and hand back any whole buffered bytes
+     * @returns {number} Byte position of the reader
+     */
+    alignToByte() {
+        this.dropBits(this.bitCount & 7);
+        this.pos -= this.bitCount >> 3;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        return this.pos;
+    }
+}
+
+/**
+ * Build a lookup table for a canonical Huffman code
+ * Each entry, indexed by the next maxBits input bits, holds (symbol << 4) | length
+ * @param {Uint8Array|Array<number>} lengths - Code length per symbol (0 = unused)
+ * @returns {{table: Uint32Array, bits: number}} Lookup table and its index width
+ */
+function buildDecodeTable(lengths) {
+    const counts = new Uint16Array(16);
+    let maxBits = 1;
+    for (const length of lengths) {
+        counts[length]++;
+        if (length > maxBits) maxBits = length;
+    }
+    counts[0] = 0;
+
+    const nextCode = new Uint16Array(16);
+    for (let bits = 1, code = 0; bits <= 15; bits++) {
+        code = (code + counts[bits - 1]) << 1;
+        nextCode[bits] = code;
+    }
+
+    const table = new Uint32Array(1 << maxBits);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        const length = lengths[symbol];
+        if (!length) continue;
+
+        // Codes are stored most significant bit first, the reader is LSB first
+        const code = nextCode[length]++;
+        let reversed = 0;
+        for (let i = 0; i < length; i++) {
+            reversed = (reversed << 1) | ((code >> i) & 1);
+        }
+        for (let i = reversed; i < table.length; i += 1 << length) {
+            table[i] = (symbol << 4) | length;
+        }
+    }
+
+    return { table, bits: maxBits };
+}
+
+/**
+ * Read one Huffman-coded symbol
+ * @param {BitReader} reader - Input
+ * @param {{table: Uint32Array, bits: number}} decoder - Lookup table
+ * @returns {number} Symbol
+ */
+function readSymbol(reader, decoder) {
+    const entry = decoder.table[reader.peekBits(decoder.bits)];
+    const length = entry & 15;
+    if (length === 0) throw new Error('Invalid Huffman code in deflate data');
+    reader.dropBits(length);
+    return entry >> 4;
+}
+
+/**
+ * Get the literal/length and distance tables of fixed Huffman blocks
+ * @returns {{literals: Object, distances: Object}} Decode tables
+ */
+function getFixedTables() {
+    if (!fixedTables) {
+        const lengths = new Uint8Array(288);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, 288);
+        fixedTables = {
+            literals: buildDecodeTable(lengths),
+            distances: buildDecodeTable(new Uint8Array(30).fill(5))
+        };
+    }
+    return fixedTables;
+}
+
+/**
+ * Read the code tables at the start of a dynamic Huffman block
+ * @param {BitReader} reader - Input
+ * @returns {{literals: Object, distances: Object}} Decode tables
+ */
+function readDynamicTables(reader) {
+    const literalCount = reader.readBits(5) + 257;
+    const distanceCount = reader.readBits(5) + 1;
+    const codeLengthCount = reader.readBits(4) + 4;
+
+    const codeLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+        codeLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+    }
+    const codeLengthDecoder = buildDecodeTable(codeLengths);
+
+    // Literal/length and distance code lengths are one run-length coded list
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    for (let i = 0; i < lengths.length;) {
+        const symbol = readSymbol(reader, codeLengthDecoder);
+        if (symbol < 16) {
+            lengths[i++] = symbol;
+            continue;
+        }
+
+        let repeat;
+        let value = 0;
+        if (symbol === 16) {
+            if (i === 0) throw new Error('Invalid code lengths in deflate data');
+            value = lengths[i - 1];
+            repeat = 3 + reader.readBits(2);
+        } else if (symbol === 17) {
+            repeat = 3 + reader.readBits(3);
+        } else {
+            repeat = 11 + reader.readBits(7);
+        }
+        if (i + repeat > lengths.length) throw new Error('Invalid code lengths in deflate data');
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+    }
+
+    return {
+        literals: buildDecodeTable(lengths.subarray(0, literalCount)),
+        distances: buildDecodeTable(lengths.subarray(literalCount))
+    };
+}
+
+/**
+ * Decompress a raw deflate stream
+ * @param {Uint8Array} bytes - Deflate stream
+ * @returns {{output: Uint8Array, end: number}} Decompressed data and the
+ *          byte position just after the stream
+ */
+function inflate(bytes) {
+    const reader = new BitReader(bytes);
+    let output = new Uint8Array(Math.max(1024, bytes.length * 4));
+    let length = 0;
+
+    const ensure = (extra) => {
+        if (length + extra <= output.length) return;
+        const grown = new Uint8Array(Math.max(output.length * 2, length + extra));
+        grown.set(output.subarray(0, length));
+        output = grown;
+    };
+
+    let final = 0;
+    while (!final) {
+        final = reader.readBits(1);
+        const type = reader.readBits(2);
+
+        if (type === 0) {
+            // Stored block: LEN, NLEN, then raw bytes
+            const pos = reader.alignToByte();
+            if (pos + 4 > bytes.length) throw new Error('Unexpected end of deflate data');
+            const size = bytes[pos] | (bytes[pos + 1] << 8);
+            const check = bytes[pos + 2] | (bytes[pos + 3] << 8);
+            if ((size ^ 0xffff) !== check) throw new Error('Invalid stored block in deflate data');
+            if (pos + 4 + size > bytes.length) throw new Error('Unexpected end of deflate data');
+
+            ensure(size);
+            output.set(bytes.subarray(pos + 4, pos + 4 + size), length);
+            length += size;
+            reader.pos = pos + 4 + size;
+            continue;
+        }
+
+        if (type === 3) throw new Error('Invalid block type in deflate data');
+        const { literals, distances } = type === 1 ? getFixedTables() : readDynamicTables(reader);
+
+        for (;;) {
+            const symbol = readSymbol(reader, literals);
+            if (symbol < 256) {
+                ensure(1);
+                output[length++] = symbol;
+                continue;
+            }
+            if (symbol === 256) break;
+
+            const code = symbol - 257;
+            if (code >= LENGTH_BASE.length) throw new Error('Invalid length code in deflate data');
+            const matchLength = LENGTH_BASE[code] + reader.readBits(LENGTH_EXTRA[code]);
+
+            const distCode = readSymbol(reader, distances);
+            if (distCode >= DIST_BASE.length) throw new Error('Invalid distance code in deflate data');
+            const distance = DIST_BASE[distCode] + reader.readBits(DIST_EXTRA[distCode]);
+            if (distance > length) throw new Error('Invalid distance in deflate data');
+
+            // Byte by byte, since a match may overlap the bytes it produces
+            ensure(matchLength);
+            for (let k = 0; k < matchLength; k++, length++) {
+                output[length] = output[length - distance];
+            }
+        }
+    }
+
+    return { output: output.slice(0, length), end: reader.alignToByte() };
+}
+
+/**
+ * Decompress a raw deflate stream
+ * @param {Uint8Array} bytes - Deflate stream
+ * @returns {Uint8Array} Decompressed data
+ * @throws {Error} If the stream is invalid or truncated
+ */
+export function inflateRaw(bytes) {
+    return inflate(bytes).output;
+}
+
+/**
+ * Decompress a zlib stream, checking its header and Adler-32 trailer
+ * @param {Uint8Array} bytes - zlib stream
+ * @returns {Uint8Array} Decompressed data
+ * @throws {Error} If the stream is invalid, truncated or fails its checksum
+ */
+export function zlibDecompress(bytes) {
+    if (bytes.length < 6 || (bytes[0] & 0x0f) !== 8 || ((bytes[0] << 8) | bytes[1]) % 31 !== 0) {
+        throw new Error('Invalid zlib header');
+    }
+    if (bytes[1] & 0x20) throw new Error('zlib preset dictionaries are not supported');
+
+    const { output, end } = inflate(bytes.subarray(2));
+    const trailer = 2 + end;
+    if (trailer + 4 > bytes.length) throw new Error('Unexpected end of zlib data');
+
+    const expected = ((bytes[trailer] << 24) | (bytes[trailer + 1] << 16) |
+        (bytes[trailer + 2] << 8) | bytes[trailer + 3]) >>> 0;
+    if (adler32(output) !== expected) throw new Error('zlib checksum mismatch');
+
+    return output;
+}